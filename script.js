@@ -29,6 +29,175 @@ const Config = {
         GLUE_THICKNESS: 4, // Visual thickness of glue
     },
 
+    /** Phone tilt defaults (players can change them in the calibration screen) */
+    Controller: {
+        DEAD_ZONE: 3,          // Degrees around the neutral pose that count as "no tilt"
+        CURVE: 1.0,            // Response exponent: >1 finer control near neutral, <1 snappier
+        CALIBRATION_TIME: 600, // ms of orientation samples averaged into the neutral pose
+        STORAGE_KEY: 'slime.tilt',
+    },
+
+    /** Jump control schemes: 'tilt' (tilt sets power) or 'charge' (hold the button to charge) */
+    Controls: {
+        DEFAULT_MODE: 'tilt',
+        CHARGE_TIME: 1.0,      // s of holding for a full-power jump
+        MIN_CHARGE: 0.15,      // Fraction of full power a quick tap still gives
+        STORAGE_KEY: 'slime.controls',
+    },
+
+    /** Fixed-step simulation timing */
+    Simulation: {
+        TICK_RATE: 60,        // Physics ticks per second, independent of display refresh
+        MAX_FRAME_TIME: 250,  // ms; longer frames (tab switches, breakpoints) are clamped
+        RESUME_COUNTDOWN: 3,  // s of countdown before play resumes after a pause
+    },
+
+    /** Local multiplayer (several phones, one tower) */
+    Multiplayer: {
+        MAX_PLAYERS: 4,
+        LOBBY_DELAY: 5000,    // ms after the first controller joins before the run starts
+    },
+
+    /** Controller connection health */
+    Network: {
+        HEARTBEAT_INTERVAL: 1000, // ms between pings
+        TIMEOUT: 3500,            // ms of silence before a peer counts as lost
+        LEAVE_TIMEOUT: 30000,     // ms a lost controller keeps its seat
+        RECONNECT_DELAY: 500,     // ms before the first reconnect attempt (doubles each retry)
+        RECONNECT_MAX_DELAY: 8000,
+
+        // How peers find each other (?transport=, ?signal= and ?ice= override these):
+        // 'peerjs' signals through a PeerServer, 'local' pairs tabs of one browser over BroadcastChannel
+        TRANSPORT: 'peerjs',
+        PEER_SERVER: null,        // e.g. { host: '192.168.1.10', port: 9000, path: '/slime', secure: false }; null = PeerJS cloud
+        ICE_SERVERS: null,        // e.g. [{ urls: 'stun:192.168.1.10:3478' }]; null = PeerJS defaults
+        LOCAL_CHANNEL: 'sticky-slime',
+        LOCAL_CONNECT_TIMEOUT: 1000, // ms before a local connect() to a missing peer fails
+
+        // Tilt streaming (controller -> host over a lossy, unordered side channel)
+        TILT_RATE: 30,            // Samples per second at most
+        TILT_THRESHOLD: 1,        // Change, in % of full tilt, a sample must show to be sent
+        TILT_REFRESH: 500,        // ms after which an unchanged tilt is sent again, in case it was lost
+        TILT_ANGLE_STEPS: 1024,   // Angle resolution on the wire (steps per turn)
+    },
+
+    /** Typable room codes, an alternative to scanning the QR code */
+    Rooms: {
+        ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789', // No I, L, O, 0 or 1
+        LENGTH: 4,                   // Random characters, followed by one check character
+        PEER_PREFIX: 'sticky-slime-', // Peer ID of a room: prefix + lowercase code
+        MAX_ATTEMPTS: 5,             // Codes tried before the host gives up on having one
+        LOOKUP_TIMEOUT: 8000,        // ms the join screen waits for the host to answer
+    },
+
+    /** Who may take a seat */
+    Auth: {
+        KEY_BYTES: 12,          // Random bytes of the session key carried by the QR link (&key=)
+        PIN_LENGTH: 4,          // Digits of the PIN typed in next to the room code
+        PIN_MAX_FAILURES: 10,   // Wrong PINs from anyone before typed PINs stop working for a while
+        PIN_COOLDOWN: 60000,    // ms until they work again (the QR link keeps working)
+    },
+
+    /** Read-only viewers (?watch=<host id>) */
+    Spectators: {
+        MAX: 8,
+        SNAPSHOT_INTERVAL: 100,   // ms between state snapshots sent to spectators
+    },
+
+    /** Dynamic wall behavior */
+    Walls: {
+        MOVE_RANGE: 0.15,     // Ratio of world width a moving wall travels either side of its origin
+        MOVE_PERIOD: 4,       // s per back-and-forth cycle
+        CRUMBLE_TIME: 0.8,    // s a crumbling wall holds once something sticks to it
+        ICE_FRICTION: 0.99,   // Velocity kept per tick while sliding on ice
+        // Chance of each type for a random wall; 'normal' takes whatever the others leave
+        TYPE_WEIGHTS: { normal: 0.50, ice: 0.08, crumbling: 0.08, moving: 0.08, spike: 0.04, bouncy: 0.05, vertical: 0.17 },
+        HAZARDS: ['ice', 'crumbling', 'spike'], // Scaled by the difficulty's hazard multiplier
+    },
+
+    /** Collectibles and timed power-ups spawned above random walls */
+    Pickups: {
+        CHANCE: 0.15,         // Chance that a random wall gets a pickup in the gap below it
+        RADIUS: 0.02,         // Relative to world width
+        TYPE_WEIGHTS: { gem: 0.6, freeze: 0.15, air_jump: 0.15, glue: 0.1 },
+        GEM_BONUS: 25,        // m added to the score
+        FREEZE_TIME: 5,       // s the tide stands still
+        GLUE_TIME: 8,         // s during which bouncy and ice walls stick too
+        MAX_AIR_JUMPS: 2,     // Stored mid-air jumps per player
+        VIBRATION: 60,        // ms buzz on the phone on pickup
+    },
+
+    /** Local high score table on the host */
+    Leaderboard: {
+        SIZE: 10,
+        NAME_MAX: 12,
+        STORAGE_KEY: 'slime.leaderboard',
+        NAME_STORAGE_KEY: 'slime.name', // Last name entered on a phone
+    },
+
+    /**
+     * Difficulty presets. Each curve is [multiplier at the start, multiplier at RAMP_HEIGHT]
+     * and ramps linearly with the height the tower has reached.
+     */
+    Difficulty: {
+        DEFAULT: 'normal',
+        RAMP_HEIGHT: 10,      // World widths climbed until the curves reach their end values
+        STORAGE_KEY: 'slime.difficulty',
+        Presets: {
+            casual: { label: 'Casual', tideSpeed: [0.6, 1.0], gap: [0.9, 1.1], wallWidth: [1.2, 1.0], hazards: [0.5, 1.0], previewTicks: 120 },
+            normal: { label: 'Normal', tideSpeed: [1.0, 1.6], gap: [1.0, 1.3], wallWidth: [1.0, 0.75], hazards: [1.0, 2.0], previewTicks: 90 },
+            hard: { label: 'Hard', tideSpeed: [1.3, 2.2], gap: [1.1, 1.5], wallWidth: [0.85, 0.6], hazards: [1.5, 2.5], previewTicks: 0 }
+        }
+    },
+
+    /** Hand-authored level chunks mixed into the procedural tower */
+    Chunks: {
+        URL: 'chunks.json',
+        CHANCE: 0.15,         // Chance that the next segment is a chunk instead of a random wall
+    },
+
+    /** Predicted jump arc drawn with the aim indicator (the horizon comes from the difficulty) */
+    Preview: {
+        DOT_SPACING: 3,       // Ticks between drawn dots
+    },
+
+    /** Ghost of the best run per seed */
+    Ghost: {
+        SAMPLE_INTERVAL: 4,   // Ticks between recorded trajectory samples
+        ALPHA: 0.35,
+        STORAGE_PREFIX: 'slime.ghost.v3.', // Versioned with the level generator
+    },
+
+    /** Autopilot: the host's attract-mode demo and ?bot= test runs */
+    Bot: {
+        REACTION: 12,             // Ticks after landing before the bot picks a jump
+        AIM_TIME: 20,             // Ticks it shows its aim before jumping
+        ANGLES: 24,               // Tilt directions tried per decision
+        POWERS: [40, 60, 80, 100],
+        HORIZON: 150,             // Ticks each candidate jump is simulated for
+        DEMO_DELAY: 3000,         // ms between attract-mode runs
+        RESTART_DELAY: 1500,      // ms between ?bot= runs
+        FAST_FORWARD: 8,          // Simulation speed of ?bot= runs
+    },
+
+    /** Synthesized sound effects (host only) */
+    Audio: {
+        VOLUME: 0.6,             // Default master volume, 0..1
+        STORAGE_KEY: 'slime.audio',
+        DRONE_BASE: 55,          // Hz of the tide drone at the edge of the danger zone
+        DRONE_RISE: 2,           // Octaves it climbs as the tide reaches the screen bottom
+        GLUE_STRETCH: 4,         // Sticky stretch (in slime radii) that maxes out the glue sound
+    },
+
+    /** Performance overlay (?stats or the hotkey, host only) */
+    Stats: {
+        HOTKEY: '`',
+        HISTORY: 240,            // Frames shown in the rolling graph
+        TRACE_LENGTH: 3600,      // Frames kept for the exported trace (a minute at 60 fps)
+        REFRESH: 250,            // ms between overlay redraws
+        GRAPH_MAX: 50,           // ms at the top of the graph
+    },
+
     /** Ratios relative to World Width (Responsive Scalers) */
     Ratios: {
         GRAVITY: 0.00060,
@@ -59,12 +228,20 @@ const Config = {
     /** Color Palette */
     Colors: {
         PLAYER: '#00ff88',
+        PLAYERS: ['#00ff88', '#ff9f1c', '#3da5ff', '#ff4fd8'], // By seat
+        GHOST: '#ffffff',
+        PICKUPS: { gem: '#ffd23f', freeze: '#7fdbff', air_jump: '#c6ff00', glue: '#ff66cc' },
+        TIDE_FROZEN: '#3fa9ff',
         TIDE_BASE: '#ff0055',
         TIDE_STROKE: '#ff99aa',
         TIDE_SHADOW: '#ff3366',
         WALL_NORMAL: { fill: 'rgba(0, 255, 255, 0.1)', stroke: '#00ccff', shadow: '#00ccff' },
         WALL_BOUNCY: { fill: 'rgba(255, 0, 255, 0.2)', stroke: '#ff00ff', shadow: '#ff00ff' },
-        WALL_VERTICAL: { fill: 'rgba(255, 255, 0, 0.1)', stroke: '#ffff00', shadow: '#ffff00' }
+        WALL_VERTICAL: { fill: 'rgba(255, 255, 0, 0.1)', stroke: '#ffff00', shadow: '#ffff00' },
+        WALL_MOVING: { fill: 'rgba(170, 136, 255, 0.15)', stroke: '#aa88ff', shadow: '#aa88ff' },
+        WALL_CRUMBLING: { fill: 'rgba(200, 160, 112, 0.15)', stroke: '#c8a070', shadow: '#c8a070' },
+        WALL_ICE: { fill: 'rgba(224, 247, 255, 0.25)', stroke: '#e0f7ff', shadow: '#bfefff' },
+        WALL_SPIKE: { fill: 'rgba(255, 40, 40, 0.3)', stroke: '#ff3333', shadow: '#ff0000' }
     }
 };
 
@@ -72,6 +249,30 @@ const Config = {
 // 2. CORE ENGINE & UTILITIES
 // ==========================================
 
+/**
+ * Linear interpolation between a and b.
+ * @param {number} a
+ * @param {number} b
+ * @param {number} t - 0..1
+ * @returns {number}
+ */
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Offers a JSON document as a file download.
+ * @param {string} filename
+ * @param {object} data
+ */
+function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Manages Event interactions between components.
  * Simple Pub/Sub pattern.
@@ -94,783 +295,4708 @@ class EventEmitter {
     /**
      * Emit an event.
      * @param {string} event - Event name
-     * @param {any} data - Data to pass to listeners
+     * @param {...any} args - Data to pass to listeners
      */
-    emit(event, data) {
+    emit(event, ...args) {
         if (this.events[event]) {
-            this.events[event].forEach(l => l(data));
+            this.events[event].forEach(l => l(...args));
         }
     }
 }
 
 /**
- * Handles WebRTC connections via PeerJS.
- * Distinguishes between Host and Controller roles.
+ * Seedable Pseudo-Random Number Generator (Mulberry32).
+ * Used instead of Math.random() wherever a run has to be reproducible.
  */
-class NetworkManager extends EventEmitter {
-    constructor() {
-        super();
-        this.peer = null;
-        this.conn = null;
-        this.isHost = false;
+class Random {
+    /**
+     * @param {string|number} seed - Any string or number (hashed to 32 bits)
+     */
+    constructor(seed = 0) {
+        this.state = Random.hash(String(seed));
     }
 
     /**
-     * Initialize as Host.
-     * Generates a QR code and listens for connections.
-     * @param {HTMLElement} qrElement - Element to render QR code into
-     * @param {HTMLElement} statusElement - Element to show status text
+     * Next float in [0, 1).
+     * @returns {number}
      */
-    initHost(qrElement, statusElement) {
-        this.isHost = true;
-        this.peer = new Peer();
-
-        this.peer.on('open', (id) => {
-            console.log('Host Peer ID:', id);
-            const url = `${window.location.href.split('?')[0]}?host=${id}`;
-            new QRCode(qrElement, { text: url, width: 180, height: 180 });
-            statusElement.textContent = "Scan with phone to start";
-        });
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
 
-        this.peer.on('connection', (c) => {
-            this.conn = c;
-            statusElement.textContent = "Controller Connected!";
-            this.setupDataListener();
-            this.emit('connected');
+    /**
+     * FNV-1a string hash.
+     * @param {string} str
+     * @returns {number} Unsigned 32-bit hash
+     */
+    static hash(str) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
 
-            // Wait a bit before fully starting to let UI transition
-            setTimeout(() => this.emit('readyToStart'), 1000);
-        });
+    /**
+     * Creates a short, human-shareable seed (e.g. "K3F9ZQ").
+     * @returns {string}
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 2176782336).toString(36).toUpperCase().padStart(6, '0');
     }
+}
+
+/**
+ * Controller/Spectator <-> Host message protocol.
+ * Every message type is registered here with the side(s) allowed to send it and a
+ * payload validator. Anything unknown or malformed is rejected and logged, and
+ * the `hello`/`welcome` handshake makes mismatched builds fail loudly.
+ */
+const Protocol = {
+    /** Bump whenever a message is added, removed or changes shape */
+    VERSION: 9,
+
+    /** Optional features this build supports, exchanged during the handshake */
+    CAPABILITIES: ['multiplayer', 'heartbeat', 'pause', 'charge', 'audio', 'spectate'],
+
+    Messages: {
+        // Controller -> Host
+        hello: {
+            from: ['controller', 'spectator'],
+            validate: m => Number.isInteger(m.version) && typeof m.clientId === 'string' && m.clientId.length > 0 &&
+                Array.isArray(m.capabilities) && (m.role === undefined || m.role === 'controller' || m.role === 'spectator') &&
+                (m.key === undefined || m.key === null || typeof m.key === 'string')
+        },
+        pong: { from: ['controller', 'spectator'], validate: m => Number.isFinite(m.t) },
+        tilt: {
+            from: 'controller',
+            validate: m => Number.isInteger(m.s) && m.s >= 0 && m.s < Protocol.SEQ_RANGE && Protocol.isPackedTilt(m)
+        },
+        // Jumps carry the aim they were made with, so a lost or late tilt sample can't skew them
+        jump: { from: 'controller', validate: m => Protocol.isPackedTilt(m) },
+        jump_press: { from: 'controller', capability: 'charge', validate: () => true },
+        jump_release: { from: 'controller', capability: 'charge', validate: m => Protocol.isPackedTilt(m) },
+        controls: { from: 'controller', capability: 'charge', validate: m => m.mode === 'tilt' || m.mode === 'charge' },
+        set_difficulty: { from: 'controller', validate: m => Difficulty.isPreset(m.preset) },
+        name: {
+            from: 'controller',
+            validate: m => typeof m.entryId === 'string' && typeof m.name === 'string' && m.name.length <= Config.Leaderboard.NAME_MAX
+        },
+        set_audio: { from: 'controller', capability: 'audio', validate: m => Protocol.isAudioSettings(m) },
+        restart: { from: 'controller', validate: () => true },
+        pause: { from: 'controller', capability: 'pause', validate: () => true },
+
+        // Host -> Controller
+        welcome: {
+            from: 'host',
+            validate: m => Number.isInteger(m.version) && Array.isArray(m.capabilities) &&
+                Number.isInteger(m.slot) && /^#[0-9a-f]{6}$/i.test(m.color)
+        },
+        spectating: { from: 'host', validate: m => Number.isInteger(m.version) && Array.isArray(m.capabilities) },
+        reject: { from: 'host', validate: m => typeof m.reason === 'string' && typeof m.message === 'string' },
+        ping: { from: 'host', validate: m => Number.isFinite(m.t) && (m.rtt === null || Number.isFinite(m.rtt)) },
+        vibrate: { from: 'host', validate: m => Number.isFinite(m.duration) && m.duration >= 0 && m.duration <= 5000 },
+        gameover: { from: 'host', validate: () => true },
+        paused: { from: 'host', capability: 'pause', validate: m => typeof m.paused === 'boolean' },
+        difficulty: { from: 'host', validate: m => Difficulty.isPreset(m.preset) },
+        audio: { from: 'host', capability: 'audio', validate: m => Protocol.isAudioSettings(m) },
+        name_prompt: {
+            from: 'host',
+            validate: m => typeof m.entryId === 'string' && Number.isInteger(m.rank) && Number.isFinite(m.score)
+        },
+        snapshot: {
+            from: 'host',
+            capability: 'spectate',
+            validate: m => Number.isInteger(m.tick) && typeof m.state === 'string' && Number.isFinite(m.score) &&
+                Number.isInteger(m.preview) &&
+                Number.isFinite(m.camera) && !!m.tide && Number.isFinite(m.tide.y) &&
+                Array.isArray(m.players) && Array.isArray(m.walls) && Array.isArray(m.pickups)
+        }
+    },
+
+    /** Tilt sequence numbers wrap around at this value */
+    SEQ_RANGE: 65536,
 
     /**
-     * Initialize as Controller.
-     * Connects to the host ID found in URL.
-     * @param {string} hostId 
+     * Wire form of a tilt vector: the angle in steps of a turn and the magnitude in
+     * whole percent. x and y follow from those, so they aren't sent.
+     * @param {{angle: number, magnitude: number}} vector
+     * @returns {{a: number, m: number}}
      */
-    initController(hostId) {
-        this.isHost = false;
-        this.peer = new Peer();
+    packTilt(vector) {
+        const steps = Config.Network.TILT_ANGLE_STEPS;
+        const turn = vector.angle / (Math.PI * 2);
+        return {
+            a: Math.round((turn - Math.floor(turn)) * steps) % steps,
+            m: Math.round(Math.max(0, Math.min(100, vector.magnitude)))
+        };
+    },
 
-        this.peer.on('open', (id) => {
-            this.conn = this.peer.connect(hostId);
-            this.conn.on('open', () => {
-                console.log('Connected to Host');
-                this.emit('connected');
-            });
+    /**
+     * @param {any} m
+     * @returns {boolean} True for an angle step and a whole-percent magnitude, as packTilt() makes them
+     */
+    isPackedTilt(m) {
+        return Number.isInteger(m.a) && m.a >= 0 && m.a < Config.Network.TILT_ANGLE_STEPS &&
+            Number.isInteger(m.m) && m.m >= 0 && m.m <= 100;
+    },
 
-            this.conn.on('data', (data) => {
-                this.emit('data', data); // Pass commands back to controller app (e.g. vibration)
-            });
-        });
-    }
+    /**
+     * @param {{a: number, m: number}} packed - Validated `tilt`, `jump` or `jump_release` message
+     * @returns {{x: number, y: number, magnitude: number, angle: number}}
+     */
+    unpackTilt(packed) {
+        let angle = packed.a / Config.Network.TILT_ANGLE_STEPS * Math.PI * 2;
+        if (angle > Math.PI) angle -= Math.PI * 2;
+        return { x: Math.cos(angle) * packed.m, y: Math.sin(angle) * packed.m, magnitude: packed.m, angle };
+    },
 
-    setupDataListener() {
-        if (!this.conn) return;
-        this.conn.on('data', (data) => {
-            if (data.type === 'tilt') this.emit('input_tilt', data.vector);
-            if (data.type === 'jump') this.emit('input_jump');
-        });
-    }
+    /**
+     * @param {number} seq - Received sequence number
+     * @param {number|null} last - Newest one applied so far
+     * @returns {boolean} True if seq comes after last (allowing for wrap-around)
+     */
+    isNewer(seq, last) {
+        if (last === null) return true;
+        const ahead = (seq - last + this.SEQ_RANGE) % this.SEQ_RANGE;
+        return ahead > 0 && ahead < this.SEQ_RANGE / 2;
+    },
 
     /**
-     * Send data to the connected peer.
-     * @param {object} data 
+     * @param {any} m
+     * @returns {boolean} True for a volume in 0..1 plus a mute flag
      */
-    send(data) {
-        if (this.conn && this.conn.open) {
-            this.conn.send(data);
-        }
+    isAudioSettings(m) {
+        return Number.isFinite(m.volume) && m.volume >= 0 && m.volume <= 1 && typeof m.muted === 'boolean';
+    },
+
+    /**
+     * @param {string[]} offered - Capabilities announced by the other side
+     * @returns {string[]} The ones both sides support
+     */
+    negotiate(offered) {
+        return this.CAPABILITIES.filter(c => offered.includes(c));
+    },
+
+    /**
+     * @param {object} msg
+     * @param {string[]} capabilities - Negotiated with the other side
+     * @returns {boolean} False for a message of an optional feature the other side lacks
+     */
+    supports(msg, capabilities) {
+        const spec = this.Messages[msg.type];
+        return !spec || !spec.capability || capabilities.includes(spec.capability);
+    },
+
+    /**
+     * Checks an inbound message against the registry.
+     * @param {any} msg - Received payload
+     * @param {'host'|'controller'|'spectator'} from - Side that sent it
+     * @param {string[]} [capabilities] - Negotiated with the sender; omit before the handshake
+     * @returns {string|null} Why the message was rejected, or null if it is valid
+     */
+    validate(msg, from, capabilities = null) {
+        if (!msg || typeof msg !== 'object' || typeof msg.type !== 'string') return 'not a message object';
+
+        const spec = this.Messages[msg.type];
+        if (!spec) return `unknown message type "${msg.type}"`;
+        if (![].concat(spec.from).includes(from)) return `"${msg.type}" may not be sent by the ${from}`;
+        if (capabilities && !this.supports(msg, capabilities)) return `"${msg.type}" needs the unnegotiated "${spec.capability}" capability`;
+        if (!spec.validate(msg)) return `malformed "${msg.type}" payload`;
+        return null;
+    },
+
+    /**
+     * Logs a rejected message.
+     * @param {string} reason
+     * @param {any} msg
+     * @param {string} [sender]
+     */
+    logRejected(reason, msg, sender = '') {
+        console.warn(`[Protocol] Rejected message${sender ? ' from ' + sender : ''}: ${reason}`, msg);
     }
-}
+};
 
 /**
- * Normalizes input from various sources (Keyboard, Network).
- * Acts as the source of truth for Player controls.
+ * Where peers find each other. Every transport hands out PeerJS-shaped objects:
+ * a peer with `id`, `connect()`, `reconnect()`, `destroy()` and the 'open',
+ * 'connection', 'disconnected' and 'error' events, whose connections have
+ * `send()`, `close()`, `open` and the 'open', 'data', 'close' and 'error' events.
+ * NetworkManager only talks to that shape.
  */
-class InputManager {
-    constructor(networkManager) {
-        this.tiltVector = { x: 0, y: 0, magnitude: 0, angle: 0 };
-        this.networkManager = networkManager;
-        this.setupNetworkListeners();
-    }
-
-    setupNetworkListeners() {
-        this.networkManager.on('input_tilt', (v) => this.tiltVector = v);
-        this.networkManager.on('input_jump', () => this.triggerJump());
-    }
+const Transport = {
+    /**
+     * Reads the transport settings from the page URL, falling back to Config.Network.
+     *   ?transport=local            Same-browser tabs over BroadcastChannel
+     *   ?signal=host:port/path      Self-hosted PeerServer (https:// for TLS)
+     *   ?ice=stun:a:3478,turn:b     ICE server URLs, empty for none (offline LAN)
+     * @param {string} [href] - Page URL; the current page's by default
+     * @returns {{type: string, server: object|null, iceServers: object[]|null, page: string, query: string}}
+     *     `page` and `query` build links that join over the same transport
+     */
+    fromUrl(href = this.currentPage()) {
+        const url = new URL(href);
+        const params = url.searchParams;
+        let type = params.get('transport') || Config.Network.TRANSPORT;
+        if (!this.Types[type]) {
+            console.warn(`Unknown transport "${type}", using ${Config.Network.TRANSPORT}`);
+            type = Config.Network.TRANSPORT;
+        }
 
-    onJump(callback) {
-        this.jumpCallback = callback;
-    }
+        const signal = params.get('signal');
+        const ice = params.get('ice');
+        return {
+            type,
+            server: (signal && this.parseServer(signal)) || Config.Network.PEER_SERVER,
+            iceServers: ice !== null ? ice.split(',').filter(Boolean).map(urls => ({ urls })) : Config.Network.ICE_SERVERS,
+            page: href.split('?')[0],
+            query: this.toQuery(url.search)
+        };
+    },
 
-    triggerJump() {
-        if (this.jumpCallback) this.jumpCallback();
-    }
+    /**
+     * @returns {string} URL of this page; a placeholder outside the browser
+     */
+    currentPage() {
+        return typeof window !== 'undefined' ? window.location.href : 'http://localhost/';
+    },
 
     /**
-     * Enable keyboard debugging controls (WASD/Arrows).
+     * @param {string} signal - `[http(s)://]host[:port][/path]`
+     * @returns {{host: string, port: number, path: string, secure: boolean}|null} null if unreadable
      */
-    enableDebugKeys() {
-        console.log("Debug Keys Enabled");
-        const keyMap = {
-            'w': -Math.PI / 2, 'ArrowUp': -Math.PI / 2,
-            's': Math.PI / 2, 'x': Math.PI / 2, 'ArrowDown': Math.PI / 2,
-            'a': Math.PI, 'ArrowLeft': Math.PI,
-            'd': 0, 'ArrowRight': 0,
-            'q': -Math.PI * 0.75,
-            'e': -Math.PI * 0.25,
-            'c': Math.PI * 0.25,
-            'y': Math.PI * 0.75
+    parseServer(signal) {
+        let url;
+        try {
+            url = new URL(/^https?:\/\//.test(signal) ? signal : `http://${signal}`);
+        } catch (e) {
+            console.warn(`Ignoring unreadable signaling server "${signal}"`);
+            return null;
+        }
+        const secure = url.protocol === 'https:';
+        return {
+            host: url.hostname,
+            port: url.port ? parseInt(url.port, 10) : (secure ? 443 : 80),
+            path: url.pathname || '/',
+            secure
         };
+    },
 
-        window.addEventListener('keydown', (e) => {
-            if (e.repeat) return;
-            const key = e.key.toLowerCase(); // Check raw key for arrows
-            const code = e.code;
+    /**
+     * Query string that makes another page join over the same transport.
+     * Settings that come from Config are left out; the other page has the same Config.
+     * @param {string} search - Query string of this page
+     * @returns {string} '' or '&...'
+     */
+    toQuery(search) {
+        const params = new URLSearchParams(search);
+        return ['transport', 'signal', 'ice']
+            .filter(key => params.has(key))
+            .map(key => `&${key}=${encodeURIComponent(params.get(key))}`)
+            .join('');
+    },
 
-            if (code === 'Space') {
-                this.triggerJump();
+    /**
+     * @param {object} config - From fromUrl(), optionally with `channel` and
+     *     `onPageHide` for the local transport (see LocalPeer)
+     * @param {string} [id] - Requested peer ID; a random one if omitted
+     */
+    createPeer(config, id) {
+        return this.Types[config.type](config, id);
+    },
+
+    Types: {
+        peerjs(config, id) {
+            const options = { ...(config.server || {}) };
+            if (config.iceServers) options.config = { iceServers: config.iceServers };
+            return id ? new Peer(id, options) : new Peer(options);
+        },
+        local(config, id) {
+            return new LocalPeer(id, { channel: config.channel, onPageHide: config.onPageHide });
+        }
+    }
+};
+
+/**
+ * Same-browser transport: host and controller tabs talk over a BroadcastChannel.
+ * Needs no network at all, which also makes it handy for trying multiplayer on one
+ * machine. Every peer listens on the shared channel and picks out the messages
+ * addressed to it: { kind, from, to, conn, data }.
+ */
+class LocalPeer extends EventEmitter {
+    /**
+     * @param {string} [id] - Requested peer ID; a random one if omitted
+     * @param {object} [options]
+     * @param {string} [options.channel] - BroadcastChannel name, Config.Network.LOCAL_CHANNEL by default
+     * @param {function(function)} [options.onPageHide] - Registers the teardown for when the page goes away
+     */
+    constructor(id, { channel = Config.Network.LOCAL_CHANNEL, onPageHide = LocalPeer.onPageHide } = {}) {
+        super();
+        this.id = id || (Random.createSeed() + Random.createSeed()).toLowerCase();
+        this.destroyed = false;
+        this.disconnected = false; // There is no signaling server to lose
+        this.connections = new Map(); // Connection ID -> LocalConnection
+        this.channel = new BroadcastChannel(channel || Config.Network.LOCAL_CHANNEL);
+        this.channel.onmessage = (e) => this.receive(e.data);
+        (onPageHide || LocalPeer.onPageHide)(() => this.destroy());
+
+        // Claim the ID: a peer that already has it answers 'taken' (PeerJS: 'unavailable-id')
+        this.claimed = false;
+        this.taken = false;
+        this.post('claim', this.id);
+        setTimeout(() => {
+            if (this.destroyed) return;
+            if (this.taken) {
+                this.emit('error', { type: 'unavailable-id', message: `ID "${this.id}" is taken` });
+                this.destroy();
                 return;
             }
+            this.claimed = true;
+            this.emit('open', this.id);
+        }, 50);
+    }
 
-            // Check both k (char) and e.key (for Arrows)
-            const angle = keyMap[e.key] ?? keyMap[key];
+    /**
+     * @param {string} kind
+     * @param {string} to - Peer ID
+     * @param {string} [conn] - Connection ID
+     * @param {any} [data]
+     */
+    post(kind, to, conn = null, data = null) {
+        if (!this.destroyed) this.channel.postMessage({ kind, from: this.id, to, conn, data });
+    }
 
-            if (angle !== undefined) {
-                this.tiltVector = {
-                    x: Math.cos(angle) * 100,
-                    y: Math.sin(angle) * 100,
-                    magnitude: 100,
-                    angle
-                };
-            }
-        });
+    receive(msg) {
+        if (msg.kind === 'claim' && msg.to === this.id && this.claimed) {
+            this.post('taken', msg.from);
+            return;
+        }
+        if (msg.to !== this.id) return;
+        if (msg.kind === 'taken') {
+            this.taken = true;
+            return;
+        }
 
-        window.addEventListener('keyup', (e) => {
-            // Simple release mechanism: if any direction key lift, stop (simplified)
-            if (['w', 'a', 's', 'd', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].some(k => e.key === k || e.key.toLowerCase() === k)) {
-                this.tiltVector.magnitude = 0;
-            }
-        });
+        if (msg.kind === 'connect') {
+            if (!this.claimed) return;
+            const conn = new LocalConnection(this, msg.from, msg.conn, msg.data);
+            this.connections.set(conn.connectionId, conn);
+            this.emit('connection', conn);
+            this.post('accept', msg.from, conn.connectionId);
+            conn.setOpen();
+            return;
+        }
+
+        const conn = this.connections.get(msg.conn);
+        if (!conn || conn.peer !== msg.from) return;
+        if (msg.kind === 'accept') conn.setOpen();
+        else if (msg.kind === 'data' && conn.open) conn.emit('data', msg.data);
+        else if (msg.kind === 'close') conn.setClosed();
     }
-}
 
-// ==========================================
-// 3. GAME ENTITIES
-// ==========================================
+    /**
+     * @param {string} id - Remote peer ID
+     * @param {object} [options] - PeerJS connect options (`reliable` is moot here)
+     * @returns {LocalConnection}
+     */
+    connect(id, options = {}) {
+        const conn = new LocalConnection(this, id, Random.createSeed(), options.label || null);
+        this.connections.set(conn.connectionId, conn);
+        this.post('connect', id, conn.connectionId, conn.label);
+
+        setTimeout(() => {
+            if (conn.open || conn.closed || this.destroyed) return;
+            this.connections.delete(conn.connectionId);
+            this.emit('error', { type: 'peer-unavailable', message: `Could not connect to peer ${id}` });
+        }, Config.Network.LOCAL_CONNECT_TIMEOUT);
+        return conn;
+    }
 
-/**
- * Base Physics Object.
- */
-class PhysicsEntity {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.vx = 0;
-        this.vy = 0;
+    reconnect() {
+        if (!this.destroyed) setTimeout(() => this.emit('open', this.id), 0);
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.connections.forEach(conn => conn.close());
+        this.destroyed = true;
+        this.channel.close();
     }
 }
 
+/** Default page-lifecycle hook: a closing tab gives up its peer ID right away */
+LocalPeer.onPageHide = (teardown) => {
+    if (typeof window !== 'undefined') window.addEventListener('pagehide', teardown);
+};
+
 /**
- * The Slime Player.
- * Handles physics, states (Air/Stuck), and collision response.
+ * One end of a LocalPeer connection, shaped like a PeerJS DataConnection.
  */
-class Player extends PhysicsEntity {
-    constructor(x, y, radius) {
-        super(x, y);
-        this.radius = radius;
-        this.state = 'stuck'; // 'stuck' | 'air' | 'sticky'
-        this.stickPoint = { x: 0, y: 0 }; // Anchor point for sticky state
-        this.impactSpeed = 0; // Stored impact speed for elastic effect
-        this.color = Config.Colors.PLAYER;
+class LocalConnection extends EventEmitter {
+    /**
+     * @param {LocalPeer} local
+     * @param {string} peer - Remote peer ID
+     * @param {string} connectionId
+     * @param {string|null} label
+     */
+    constructor(local, peer, connectionId, label) {
+        super();
+        this.local = local;
+        this.peer = peer;
+        this.connectionId = connectionId;
+        this.label = label;
+        this.open = false;
+        this.closed = false;
     }
 
-    resize(ratio) {
-        this.x *= ratio;
-        this.y *= ratio;
-        this.vx *= ratio;
-        this.vy *= ratio;
-        if (this.stickPoint) {
-            this.stickPoint.x *= ratio;
-            this.stickPoint.y *= ratio;
-        }
-        // Radius is updated separately via Game.resize logic usually, but we can do it here if passed
+    setOpen() {
+        if (this.open || this.closed) return;
+        this.open = true;
+        setTimeout(() => this.emit('open'), 0); // Listeners are attached after connect() returns
     }
 
-    updatePhysics(dt, gravity, friction) {
-        if (this.state === 'air') {
-            this.vy += gravity * dt;
-            this.vx *= Math.pow(friction, dt);
-        } else if (this.state === 'sticky') {
-            console.log("Updating Sticky Physics. y:", this.y.toFixed(2));
-            // Sticky Physics:
-            // 1. Gravity still applies but is countered by "glue" tension
-            // 2. We pretend there's a spring/damper connecting player to stickPoint
+    setClosed() {
+        if (this.closed) return;
+        this.open = false;
+        this.closed = true;
+        this.local.connections.delete(this.connectionId);
+        this.emit('close');
+    }
 
-            // Apply reduced gravity (slow ooze downwards)
-            // The speed depends on impactSpeed (higher impact -> oozes faster initially?)
-            // Actually user asked: "stretches slower the further it moves... and faster the higher the speed was"
+    send(data) {
+        if (this.open) this.local.post('data', this.peer, this.connectionId, data);
+    }
 
-            // Let's model it as a highly viscous fluid
-            // v = v + g * dt
-            // v = v * drag
-
-            // Base Drag is high
-            let drag = Config.Ratios.STICKY_DRAG + (this.impactSpeed * 0.005); // More speed = less drag (faster ooze)?
-            // Clamp drag to be very slow
-            drag = Math.min(0.98, Math.max(0.85, drag));
-
-            // As we get further from stickPoint, drag increases (slows down)
-            const dist = Math.abs(this.y - this.stickPoint.y);
-            const tension = dist * 0.002;
-            drag -= tension; // Slow down as we stretch
-
-            this.vy += gravity * 0.1 * dt; // Very weak gravity effect (10%)
-            this.vy *= Math.pow(Math.max(0.5, drag), dt); // Heavy damping
+    close() {
+        if (this.closed) return;
+        this.local.post('close', this.peer, this.connectionId);
+        this.setClosed();
+    }
+}
 
-            this.vx *= 0.8; // Kill horizontal momentum quickly
+/**
+ * Short codes that stand in for the host's peer ID. The host claims the peer ID
+ * derived from a random code, so a controller only needs the code to find it.
+ * The last character is a check character (weighted sum over the alphabet,
+ * whose size is prime), catching any single mistyped or swapped character.
+ */
+const RoomCode = {
+    /**
+     * @returns {string} Random code including its check character
+     */
+    generate() {
+        const alphabet = Config.Rooms.ALPHABET;
+        let body = '';
+        for (let i = 0; i < Config.Rooms.LENGTH; i++) {
+            body += alphabet[Math.floor(Math.random() * alphabet.length)];
         }
-    }
+        return body + this.checkChar(body);
+    },
 
-    jump(angle, forceMagnitude, maxForce, forceMult) {
-        if (this.state !== 'stuck' && this.state !== 'sticky') return false;
+    /**
+     * @param {string} body - Code without its check character
+     * @returns {string}
+     */
+    checkChar(body) {
+        const alphabet = Config.Rooms.ALPHABET;
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) sum += (i + 1) * alphabet.indexOf(body[i]);
+        return alphabet[sum % alphabet.length];
+    },
 
-        const force = Math.min(forceMagnitude * forceMult, maxForce);
-        const jumpAngle = angle + Math.PI; // Jump opposite to tilt
+    /**
+     * Uppercases typed input and drops spaces and dashes.
+     * @param {string} input
+     * @returns {string}
+     */
+    normalize(input) {
+        return input.toUpperCase().replace(/[\s-]/g, '');
+    },
 
-        this.vx = Math.cos(jumpAngle) * force;
-        this.vy = Math.sin(jumpAngle) * force;
-        this.state = 'air';
-        return true; // Jump successful
-    }
+    /**
+     * @param {string} code - Normalized code
+     * @returns {string|null} What is wrong with the code, or null if it is valid
+     */
+    validate(code) {
+        const length = Config.Rooms.LENGTH + 1;
+        if (!code) return 'Type the room code shown on the big screen.';
+
+        const bad = [...code].find(c => !Config.Rooms.ALPHABET.includes(c));
+        if (bad) return `"${bad}" is not used in room codes (there is no I, L, O, 0 or 1).`;
+        if (code.length !== length) return `Room codes have ${length} characters.`;
+        if (this.checkChar(code.slice(0, -1)) !== code.slice(-1)) return 'That code has a typo. Check it against the big screen.';
+        return null;
+    },
 
     /**
-     * Resolves collision with the world bounds.
-     * @param {number} width - World width
+     * @param {string} code - Valid code
+     * @returns {string} Peer ID the host of that room claims
      */
-    checkBounds(width) {
-        if (this.x - this.radius < 0) {
-            this.x = this.radius;
-            this.vx *= -0.7;
-        } else if (this.x + this.radius > width) {
-            this.x = width - this.radius;
-            this.vx *= -0.7;
-        }
+    toPeerId(code) {
+        return Config.Rooms.PEER_PREFIX + code.toLowerCase();
     }
-}
+};
 
 /**
- * Represents a single Wall/Platform.
+ * Handles connections between the host and its controllers over a Transport
+ * (WebRTC via PeerJS unless configured otherwise).
+ * Distinguishes between Host and Controller roles.
+ *
+ * Controllers identify themselves with a persistent client ID, so a phone that
+ * drops out (screen lock, network hiccup) gets its seat back when it reconnects.
+ * Both sides run a ping/pong heartbeat to notice silent peers.
+ * Spectators connect the same way but only ever receive; the host drops
+ * anything they send besides the handshake and heartbeat.
+ * A new controller needs the session key from the QR link, or the short PIN shown
+ * next to the room code; seated ones keep their seat on reconnect. Too many wrong
+ * PINs pause PIN entry altogether. The host can kick a seat or lock the session.
+ * Tilt samples travel on a second, unreliable and unordered connection (label
+ * 'tilt'); jumps and everything else stay on the reliable one.
  */
-class Wall {
-    constructor(x, y, w, h, type = 'normal') {
-        this.x = x;
-        this.y = y;
-        this.w = w;
-        this.h = h;
-        this.type = type;
+class NetworkManager extends EventEmitter {
+    /**
+     * @param {object} [transport] - Transport settings, see Transport.fromUrl()
+     */
+    constructor(transport = Transport.fromUrl()) {
+        super();
+        this.transport = transport;
+        this.peer = null;
+        this.isHost = false;
+        this.roomCode = null; // Host: room code its peer ID is derived from, if any
+
+        // Host: client ID -> { conn, status: 'online' | 'lost', lastSeen, rtt }
+        this.clients = new Map();
+        // Host: client ID -> { conn, lastSeen, rtt }
+        this.spectators = new Map();
+        this.key = null;          // Host: session key of the QR link
+        this.pin = null;          // Host: short PIN for joining by room code
+        this.pinFailures = 0;     // Host: wrong PINs since PIN entry last reopened
+        this.pinPausedUntil = 0;  // Host: typed PINs are refused until then
+        this.locked = false;      // Host: no new controllers at all
+        this.banned = new Set();  // Host: kicked client IDs
+        this.qr = null;
+        this.lastHeartbeat = 0;
+
+        // Controller
+        this.conn = null;
+        this.hostId = null;
+        this.clientId = null;
+        this.role = 'controller'; // 'controller' | 'spectator'
+        this.joinKey = null; // Session key or PIN from the join link
+        this.tiltConn = null; // Lossy side channel for tilt samples
+        this.tiltSeq = 0;
+        this.tiltSent = 0;    // Samples sent since the last ping
+        this.tiltRate = 0;    // Samples sent per second between the last two pings
+        this.lastPing = 0;
+        this.status = 'connecting'; // connecting | connected | reconnecting
+        this.rtt = null; // Last round trip measured by the host (ms)
+        this.lastHostMessage = 0;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.rejected = false; // Refused by the host (version mismatch, full)
+        this.capabilities = Protocol.CAPABILITIES; // Narrowed to the host's by welcome/spectating
     }
 
     /**
-     * Checks collision with a circle (Player).
-     * @param {Player} p 
-     * @returns {object|null} Collision data (dist, nx, ny) or null
+     * Initialize as Host.
+     * Generates a QR code and listens for connections.
+     * @param {HTMLElement} qrElement - Element to render QR code into
+     * @param {HTMLElement} statusElement - Element to show status text
      */
-    checkCollision(p) {
-        const closestX = Math.max(this.x, Math.min(p.x, this.x + this.w));
-        const closestY = Math.max(this.y, Math.min(p.y, this.y + this.h));
+    initHost(qrElement, statusElement) {
+        this.isHost = true;
+        this.key = NetworkManager.createKey();
+        this.pin = NetworkManager.createPin();
+        this.qrElement = qrElement;
+        this.openHostPeer(statusElement, Config.Rooms.MAX_ATTEMPTS);
+        setInterval(() => this.hostHeartbeat(), Config.Network.HEARTBEAT_INTERVAL);
+    }
 
-        const dx = p.x - closestX;
-        const dy = p.y - closestY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
+    /**
+     * Claims the peer ID of a fresh room code, picking another code while the
+     * chosen one is in use. Out of attempts, the host takes a random peer ID and
+     * can only be joined through the QR code.
+     * @param {HTMLElement} statusElement
+     * @param {number} attempts - Room codes left to try
+     */
+    openHostPeer(statusElement, attempts) {
+        this.roomCode = attempts > 0 ? RoomCode.generate() : null;
+        const peer = Transport.createPeer(this.transport, this.roomCode ? RoomCode.toPeerId(this.roomCode) : undefined);
+        this.peer = peer;
 
-        if (dist < p.radius) {
-            return { dist, dx, dy };
-        }
-        return null;
+        peer.on('open', (id) => {
+            console.log('Host Peer ID:', id);
+            this.updateQR();
+            statusElement.textContent = this.transport.type === 'local'
+                ? "Open the controller link in another tab"
+                : "Scan with phone to start";
+            this.emit('open', id);
+        });
+
+        peer.on('connection', (c) => {
+            if (c.label === 'tilt') {
+                c.on('open', () => this.bindTiltChannel(c));
+                c.on('data', (data) => this.handleTiltData(c, data));
+                c.on('close', () => this.handleTiltClose(c));
+                c.on('error', (err) => console.warn('Tilt channel error:', err));
+                return;
+            }
+            c.on('data', (data) => this.handleControllerData(c, data));
+            c.on('close', () => this.handleControllerClose(c));
+            c.on('error', (err) => console.warn('Controller connection error:', err));
+        });
+
+        // Lost the signaling server; open data connections keep working meanwhile
+        peer.on('disconnected', () => {
+            if (peer.destroyed) return;
+            console.warn('Signaling connection lost, reconnecting...');
+            peer.reconnect();
+        });
+        peer.on('error', (err) => {
+            if (err.type === 'unavailable-id' && this.roomCode) {
+                console.warn(`Room code ${this.roomCode} is taken, picking another`);
+                peer.destroy();
+                this.openHostPeer(statusElement, attempts - 1);
+                return;
+            }
+            console.error('Peer error:', err);
+        });
     }
 
-    resolve(p, colData) {
-        // 1. Depenetrate
-        const overlap = p.radius - colData.dist;
-        let nx, ny;
-        if (colData.dist === 0) {
-            nx = 0; ny = -1;
-        } else {
-            nx = colData.dx / colData.dist;
-            ny = colData.dy / colData.dist;
+    /**
+     * Routes controller messages. Every event carries the sender's client ID last.
+     * Spectators only get as far as the heartbeat.
+     * @param {object} conn - PeerJS DataConnection
+     * @param {object} data
+     */
+    handleControllerData(conn, data) {
+        const error = Protocol.validate(data, conn.role === 'spectator' ? 'spectator' : 'controller', conn.capabilities);
+        if (error) {
+            Protocol.logRejected(error, data, conn.clientId || conn.peer);
+            // An unreadable handshake is from an incompatible build: say so rather than leave it hanging
+            if (!conn.clientId) {
+                const hello = data && data.type === 'hello';
+                this.rejectController(conn, hello ? 'version' : 'handshake', hello ? 'Version mismatch. Reload both pages.' : 'Please reload the controller page.');
+            }
+            return;
         }
 
-        // DEBUG LOGGING
-        console.log(`Collision: nx=${nx.toFixed(2)}, ny=${ny.toFixed(2)}, type=${this.type}`);
+        if (data.type === 'hello') {
+            const role = data.role || 'controller';
+            if (conn.role && conn.role !== role) {
+                Protocol.logRejected(`${conn.role} may not become a ${role}`, data, conn.clientId);
+                return;
+            }
+            if (role === 'spectator') this.acceptSpectator(conn, data);
+            else this.acceptController(conn, data);
+            return;
+        }
 
-        p.x += nx * overlap;
-        p.y += ny * overlap;
+        // A controller that skips the handshake is from an incompatible build
+        if (!conn.clientId) {
+            Protocol.logRejected('message before handshake', data, conn.peer);
+            this.rejectController(conn, 'handshake', 'Please reload the controller page.');
+            return;
+        }
 
-        // 2. Reaction
-        if (this.type === 'bouncy') {
-            // Reflect: v - 2(v.n)n
-            const dot = p.vx * nx + p.vy * ny;
-            p.vx = p.vx - 2 * dot * nx;
-            p.vy = p.vy - 2 * dot * ny;
-            p.vx *= 1.1; // Energy gain
-            p.vy *= 1.1;
-            return false; // Did not stick
-        } else {
-            // Stick
-            // Check for ceiling collision (ny > 0.5 means normal points DOWN, so we hit from BELOW)
-            if (ny > 0.5 && this.type === 'normal') {
-                console.log("Sticky Triggered! ny:", ny);
-                // Underside Collision -> Sticky Mode
-                p.state = 'sticky';
-                p.stickPoint = { x: p.x, y: this.y + this.h }; // Anchor at bottom of wall
+        if (conn.role === 'spectator') {
+            const spectator = this.spectators.get(conn.clientId);
+            if (!spectator || spectator.conn !== conn) return;
+            spectator.lastSeen = performance.now();
+            spectator.rtt = performance.now() - data.t; // Pong is all a spectator may send
+            return;
+        }
 
-                // Calculate impact speed for visual/physics effects
-                p.impactSpeed = Math.abs(p.vy);
+        // Ignore stale connections replaced by a reconnect
+        const client = this.clients.get(conn.clientId);
+        if (!client || client.conn !== conn) return;
 
-                // Kill velocity immediately to start the "stretch" from 0
-                p.vx = 0;
-                p.vy = 0;
-            } else {
-                // Top/Side Collision -> Normal Stick
-                p.state = 'stuck';
-                p.vx = 0;
-                p.vy = 0;
-            }
-            return true; // Stuck
-        }
-    }
-}
+        this.markSeen(conn.clientId);
 
-/**
- * The Rising Tide (Game Over Mechanic).
- */
-class Tide {
-    constructor(y) {
-        this.y = y;
-        this.speed = 0;
-        this.waveOffset = 0;
-        this.color = Config.Colors.TIDE_BASE;
+        if (data.type === 'pong') client.rtt = performance.now() - data.t;
+        else if (data.type === 'tilt') this.receiveTilt(conn.clientId, data); // Before the tilt channel is up
+        else if (data.type === 'jump') this.emit('input_jump', conn.clientId, Protocol.unpackTilt(data));
+        else if (data.type === 'jump_press') this.emit('input_jump_press', conn.clientId);
+        else if (data.type === 'jump_release') this.emit('input_jump_release', conn.clientId, Protocol.unpackTilt(data));
+        else if (data.type === 'controls') this.emit('input_controls', data.mode, conn.clientId);
+        else this.emit('data', data, conn.clientId);
     }
 
-    update(dt, playerY, worldWidth, worldHeight) {
-        // Catch-up Mechanic
-        const distToTide = this.y - playerY;
-        const catchUpThreshold = worldHeight * 0.5;
+    /**
+     * Attaches a newly opened tilt side channel to the seat of the peer that opened
+     * it, replacing any earlier one. A peer without a seat is hung up on.
+     * @param {object} conn - PeerJS DataConnection labelled 'tilt'
+     */
+    bindTiltChannel(conn) {
+        const seat = [...this.clients].find(([, client]) => client.conn.peer === conn.peer);
+        if (!seat) {
+            console.warn('[Protocol] Closing tilt channel without a seat from', conn.peer);
+            conn.close();
+            return;
+        }
 
-        let currentSpeed = this.speed;
+        const [clientId, client] = seat;
+        if (client.tiltConn && client.tiltConn !== conn) client.tiltConn.close();
+        client.tiltConn = conn;
+        conn.clientId = clientId;
+    }
 
-        if (distToTide > catchUpThreshold) {
-            currentSpeed += (distToTide - catchUpThreshold) * Config.Ratios.TIDE_CATCHUP;
+    /**
+     * Routes the tilt side channel. It is only accepted on the channel bound to a
+     * seat, and only for tilt.
+     * @param {object} conn - PeerJS DataConnection labelled 'tilt'
+     * @param {object} data
+     */
+    handleTiltData(conn, data) {
+        const client = this.clients.get(conn.clientId);
+        if (!client || client.tiltConn !== conn) {
+            Protocol.logRejected('tilt channel without a seat', data, conn.peer);
+            return;
         }
 
-        this.y -= currentSpeed * dt;
-        this.waveOffset += 0.1 * dt;
-    }
-}
+        const error = Protocol.validate(data, 'controller') || (data.type !== 'tilt' ? `"${data.type}" may not use the tilt channel` : null);
+        if (error) {
+            Protocol.logRejected(error, data, conn.clientId);
+            return;
+        }
 
-/**
- * Handles Game Camera (Vertical Scrolling).
- */
-class Camera {
-    constructor() {
-        this.y = 0;
-        this.smoothness = 0.1;
+        this.markSeen(conn.clientId);
+        this.receiveTilt(conn.clientId, data);
     }
 
-    update(targetY, dt, limitY) {
-        const lerpFactor = 1 - Math.pow(1 - this.smoothness, dt);
-        this.y += (targetY - this.y) * lerpFactor;
-
-        // Clamp to prevent looking into void below tide
-        if (this.y > limitY) this.y = limitY;
+    /**
+     * @param {object} conn - PeerJS DataConnection labelled 'tilt'
+     */
+    handleTiltClose(conn) {
+        const client = this.clients.get(conn.clientId);
+        if (client && client.tiltConn === conn) client.tiltConn = null;
     }
-}
 
-/**
- * Procedural Generator for Levels.
- */
-class LevelGenerator {
-    constructor() {
-        this.highestY = 0;
+    /**
+     * Unpacks a tilt sample, dropping it if a newer one already arrived.
+     * @param {string} clientId
+     * @param {object} msg - Validated `tilt` message
+     */
+    receiveTilt(clientId, msg) {
+        const client = this.clients.get(clientId);
+        client.tiltCount++;
+        if (!Protocol.isNewer(msg.s, client.tiltSeq)) {
+            client.tiltDropped++;
+            return;
+        }
+        client.tiltSeq = msg.s;
+        this.emit('input_tilt', Protocol.unpackTilt(msg), clientId);
     }
 
-    reset(startY) {
-        this.highestY = startY;
+    /**
+     * Host only: tilt traffic over the last heartbeat, over all controllers.
+     * @returns {{rate: number, dropped: number}} Samples per second, and out-of-order samples dropped this session
+     */
+    getTiltStats() {
+        let rate = 0;
+        let dropped = 0;
+        this.clients.forEach(client => {
+            rate += client.tiltRate;
+            dropped += client.tiltDropped;
+        });
+        return { rate, dropped };
     }
 
-    generateNext(worldWidth) {
-        const gap = worldWidth * Config.Ratios.WALL_GAP_MIN + Math.random() * worldWidth * Config.Ratios.WALL_GAP_RANGE;
-        const y = this.highestY - gap;
+    /**
+     * Completes the handshake and binds the connection to a seat: a known client ID
+     * resumes its seat, a new one takes a free seat if there is one.
+     * @param {object} conn
+     * @param {object} hello - Validated `hello` message
+     */
+    acceptController(conn, hello) {
+        const clientId = hello.clientId;
 
-        // Roll Type
-        const roll = Math.random();
-        let type = 'normal';
-        if (roll > 0.73) type = 'bouncy';
-        if (roll > 0.78) type = 'vertical';
+        if (hello.version !== Protocol.VERSION) {
+            console.error(`[Protocol] Controller ${clientId} speaks v${hello.version}, host speaks v${Protocol.VERSION}`);
+            this.rejectController(conn, 'version', `Version mismatch (controller v${hello.version}, game v${Protocol.VERSION}). Reload both pages.`);
+            return;
+        }
 
-        let w, h, x;
+        const existing = this.clients.get(clientId);
+        const refusal = existing ? null : this.checkNewController(hello);
+        if (refusal) {
+            console.warn(`Rejecting controller ${clientId}: ${refusal.reason}`);
+            this.rejectController(conn, refusal.reason, refusal.message);
+            this.emit('refused', refusal.reason, refusal.message);
+            return;
+        }
 
-        if (type === 'vertical') {
-            w = worldWidth * Config.Ratios.WALL_HEIGHT;
-            h = worldWidth * 0.10 + Math.random() * worldWidth * 0.5;
-            x = Math.random() * (worldWidth - w);
+        conn.clientId = clientId;
+        conn.role = 'controller';
+        conn.capabilities = Protocol.negotiate(hello.capabilities);
+
+        if (existing) {
+            const previous = existing.conn;
+            existing.conn = conn;
+            existing.tiltSeq = null; // A reloaded controller counts from 0 again
+            if (previous !== conn) previous.close();
+            if (existing.tiltConn) existing.tiltConn.close(); // It opens a new one once welcomed
+            existing.tiltConn = null;
+            console.log('Controller reconnected:', clientId);
+            this.markSeen(clientId);
+            this.emit('reconnected', clientId);
         } else {
-            w = worldWidth * Config.Ratios.WALL_WIDTH_MIN + Math.random() * worldWidth * Config.Ratios.WALL_WIDTH_RANGE;
-            h = worldWidth * Config.Ratios.WALL_HEIGHT;
-            x = Math.random() * (worldWidth - w);
+            this.clients.set(clientId, {
+                conn, tiltConn: null, status: 'online', lastSeen: performance.now(), rtt: null,
+                tiltSeq: null, tiltCount: 0, tiltRate: 0, tiltDropped: 0
+            });
+            this.emit('connected', clientId);
         }
-
-        this.highestY = y;
-        return new Wall(x, y, w, h, type);
     }
-}
-
-// ==========================================
-// 4. VISUALS & RENDERING
-// ==========================================
 
-class Renderer {
-    constructor(canvas, bgCanvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d', { alpha: false });
-        this.bgCanvas = bgCanvas;
-        this.bgCtx = bgCanvas.getContext('2d', { alpha: false });
+    /**
+     * Whether a controller without a seat may take one.
+     * @param {object} hello - Validated `hello` message
+     * @returns {{reason: string, message: string}|null} null if it may
+     */
+    checkNewController(hello) {
+        if (this.banned.has(hello.clientId)) {
+            return { reason: 'kicked', message: 'You were removed from this game.' };
+        }
 
-        // Setup static BG effects
-        this.bgCtx.filter = Config.Visual.BG_BLUR;
-        this.bgCanvas.style.filter = 'none'; // Clear CSS filter
+        const now = performance.now();
+        const pinOpen = now >= this.pinPausedUntil;
+        if (hello.key !== this.key && !(pinOpen && hello.key === this.pin)) {
+            this.recordFailure(hello.key, now);
+            return {
+                reason: 'auth',
+                message: pinOpen
+                    ? 'Wrong or missing PIN. Scan the QR code on the big screen again.'
+                    : 'Joining by PIN is paused after too many wrong guesses. Scan the QR code on the big screen.'
+            };
+        }
+        if (this.locked) {
+            return { reason: 'locked', message: 'This game is locked. Ask the host to unlock it.' };
+        }
+        if (this.clients.size >= Config.Multiplayer.MAX_PLAYERS) {
+            return { reason: 'full', message: 'This game is full.' };
+        }
+        return null;
     }
 
-    clear() {
-        this.ctx.fillStyle = '#0a0a12';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    /**
+     * Counts a wrong PIN against PIN entry, which pauses after too many. The QR key
+     * is too long to guess, so stale QR links and missing keys don't count.
+     *
+     * Guesses aren't told apart by sender: peer IDs are the guesser's to pick, so
+     * a per-peer limit would only slow down someone who doesn't rotate them. The
+     * price is that anyone can keep PIN entry paused by guessing; joining by QR
+     * code, and rejoining a held seat, keep working meanwhile.
+     * @param {string|null|undefined} key - Key or PIN the controller sent
+     * @param {number} now
+     */
+    recordFailure(key, now) {
+        if (typeof key !== 'string' || key.length !== Config.Auth.PIN_LENGTH) return;
 
-        if (this.bgCanvas.width > 0) {
-            this.bgCtx.clearRect(0, 0, this.bgCanvas.width, this.bgCanvas.height);
+        if (++this.pinFailures >= Config.Auth.PIN_MAX_FAILURES) {
+            console.warn('Too many wrong PINs, pausing PIN entry');
+            this.pinFailures = 0;
+            this.pinPausedUntil = now + Config.Auth.PIN_COOLDOWN;
         }
     }
 
     /**
-     * Main Draw Call
-     * @param {Game} game - Game state
+     * Frees a controller's seat for good: it is told why, hung up on and can't
+     * rejoin this session. The key and PIN change, so its join link stops working too.
+     * @param {string} clientId
      */
-    draw(game) {
-        this.clear();
+    kick(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        console.log('Kicking controller', clientId);
+        this.banned.add(clientId);
+        this.clients.delete(clientId);
+        if (client.tiltConn) client.tiltConn.close();
+        this.rejectController(client.conn, 'kicked', 'You were removed from this game.');
+        this.rotateKey();
+        this.emit('disconnected', clientId);
+    }
 
-        // 1. Draw Game World
-        this.drawWorld(this.ctx, game, false);
+    /**
+     * @param {boolean} locked - True turns away every controller without a seat
+     */
+    setLocked(locked) {
+        this.locked = locked;
+        console.log(`Session ${locked ? 'locked' : 'unlocked'}`);
+        this.emit('locked', locked);
+    }
 
-        // 2. Draw Background Mirror (Optimized)
-        if (this.bgCanvas.width > 0) {
-            this.bgCtx.save();
-            const scale = Math.max(
-                this.bgCanvas.width / this.canvas.width,
-                this.bgCanvas.height / this.canvas.height
-            );
-            const offsetX = (this.bgCanvas.width - (this.canvas.width * scale)) / 2;
-            const offsetY = (this.bgCanvas.height - (this.canvas.height * scale)) / 2;
+    /**
+     * Picks a new session key and PIN and redraws the QR code. Seated controllers are unaffected.
+     */
+    rotateKey() {
+        this.key = NetworkManager.createKey();
+        this.pin = NetworkManager.createPin();
+        this.updateQR();
+        this.emit('pin', this.pin);
+    }
 
-            this.bgCtx.translate(offsetX, offsetY);
-            this.bgCtx.scale(scale, scale);
+    updateQR() {
+        if (!this.peer || !this.peer.id) return;
+        const url = this.getJoinUrl('host');
+        if (this.qr) this.qr.makeCode(url);
+        else this.qr = new QRCode(this.qrElement, { text: url, width: 180, height: 180 });
+    }
 
-            this.drawWorld(this.bgCtx, game, true);
-            this.bgCtx.restore();
+    /**
+     * Lets a read-only viewer in. It gets state snapshots and never a seat.
+     * @param {object} conn
+     * @param {object} hello - Validated `hello` message
+     */
+    acceptSpectator(conn, hello) {
+        const clientId = hello.clientId;
+
+        if (hello.version !== Protocol.VERSION) {
+            console.error(`[Protocol] Spectator ${clientId} speaks v${hello.version}, host speaks v${Protocol.VERSION}`);
+            this.rejectController(conn, 'version', `Version mismatch (spectator v${hello.version}, game v${Protocol.VERSION}). Reload both pages.`);
+            return;
         }
 
-        // 3. Update Visual Danger Indicator (Dom separation - strictly UI)
-        this.updateDangerUI(game);
-    }
+        if (!hello.capabilities.includes('spectate')) {
+            this.rejectController(conn, 'version', 'This page cannot watch games. Reload it.');
+            return;
+        }
 
-    drawWorld(ctx, game, isBackground) {
-        ctx.save();
-        ctx.scale(Config.Visual.ZOOM, Config.Visual.ZOOM);
-        ctx.translate(0, -game.camera.y);
+        const existing = this.spectators.get(clientId);
+        if (!existing && this.spectators.size >= Config.Spectators.MAX) {
+            console.warn('Too many spectators, rejecting', clientId);
+            this.rejectController(conn, 'full', 'Too many spectators.');
+            return;
+        }
 
-        // Draw Walls
-        this.drawWalls(ctx, game.walls, isBackground);
+        conn.clientId = clientId;
+        conn.role = 'spectator';
+        conn.capabilities = Protocol.negotiate(hello.capabilities);
+        if (existing && existing.conn !== conn) existing.conn.close();
+        this.spectators.set(clientId, { conn, lastSeen: performance.now(), rtt: null });
 
-        // Draw Player
-        this.drawPlayer(ctx, game.player, isBackground);
+        conn.send({ type: 'spectating', version: Protocol.VERSION, capabilities: conn.capabilities });
+        console.log('Spectator joined:', clientId);
+        this.emit('spectators', this.spectators.size);
+    }
 
-        // Draw Aim Line
-        if (game.player.state === 'stuck' || game.player.state === 'sticky') {
-            this.drawAim(ctx, game.player, game.input.tiltVector, game.worldWidth);
-        }
+    /**
+     * Tells a controller or spectator why it can't join, then hangs up.
+     * @param {object} conn
+     * @param {string} reason - Machine-readable reason ('version', 'full', ...)
+     * @param {string} message - Text shown on the phone
+     */
+    rejectController(conn, reason, message) {
+        conn.send({ type: 'reject', reason, message });
+        setTimeout(() => conn.close(), 500);
+    }
 
-        // Draw Glue (Sticky State)
-        if (game.player.state === 'sticky') {
-            this.drawGlue(ctx, game.player);
+    handleControllerClose(conn) {
+        if (conn.role === 'spectator') {
+            const spectator = this.spectators.get(conn.clientId);
+            if (spectator && spectator.conn === conn) this.dropSpectator(conn.clientId);
+            return;
         }
 
-        // Draw Tide
-        this.drawTide(ctx, game.tide, game.worldWidth, isBackground);
+        const client = this.clients.get(conn.clientId);
+        if (client && client.conn === conn) this.setClientStatus(conn.clientId, 'lost');
+    }
 
-        ctx.restore();
+    markSeen(clientId) {
+        const client = this.clients.get(clientId);
+        client.lastSeen = performance.now();
+        if (client.status !== 'online') this.setClientStatus(clientId, 'online');
     }
 
-    drawWalls(ctx, walls, isBackground) {
-        // Optimized Batch Rendering logic
-        const types = ['normal', 'bouncy', 'vertical'];
-        const configs = {
-            'normal': Config.Colors.WALL_NORMAL,
-            'bouncy': Config.Colors.WALL_BOUNCY,
-            'vertical': Config.Colors.WALL_VERTICAL
-        };
+    setClientStatus(clientId, status) {
+        const client = this.clients.get(clientId);
+        if (client.status === status) return;
 
-        types.forEach(type => {
-            const batch = walls.filter(w => w.type === type);
-            if (batch.length === 0) return;
+        client.status = status;
+        console.log(`Controller ${clientId} is ${status}`);
+        this.emit('client_status', clientId, status);
+    }
 
-            const conf = configs[type];
+    /**
+     * @param {string} clientId - Spectator to forget
+     */
+    dropSpectator(clientId) {
+        const spectator = this.spectators.get(clientId);
+        this.spectators.delete(clientId);
+        spectator.conn.close();
+        this.emit('spectators', this.spectators.size);
+    }
 
-            if (isBackground) {
-                // Fake Glow approach for speed
-                ctx.save();
-                ctx.beginPath();
-                batch.forEach(w => ctx.roundRect(Math.round(w.x), Math.round(w.y), Math.round(w.w), Math.round(w.h), 5));
-                ctx.strokeStyle = conf.shadow;
-                ctx.lineWidth = 12;
-                ctx.globalAlpha = 0.3;
-                ctx.stroke();
-                ctx.restore();
+    /**
+     * Frees a seat for a controller that stayed away, hanging up both its channels.
+     * @param {string} clientId
+     */
+    dropClient(clientId) {
+        const client = this.clients.get(clientId);
+        this.clients.delete(clientId);
+        client.conn.close();
+        if (client.tiltConn) client.tiltConn.close();
+        this.emit('disconnected', clientId);
+    }
 
-                ctx.beginPath();
-                batch.forEach(w => ctx.roundRect(Math.round(w.x), Math.round(w.y), Math.round(w.w), Math.round(w.h), 5));
-                ctx.fillStyle = conf.fill;
-                ctx.strokeStyle = conf.stroke;
-                ctx.lineWidth = 2;
-                ctx.fill();
-                ctx.stroke();
-            } else {
-                ctx.fillStyle = conf.fill;
-                ctx.strokeStyle = conf.stroke;
-                ctx.shadowColor = conf.shadow;
-                ctx.shadowBlur = 10;
-                ctx.lineWidth = 2;
+    /**
+     * Pings every controller, flags silent ones as lost and
+     * frees the seat of any that stay away too long.
+     * Spectators have no seat to keep and are dropped once silent.
+     */
+    hostHeartbeat() {
+        const now = performance.now();
+        const elapsed = now - this.lastHeartbeat;
+        this.lastHeartbeat = now;
+
+        this.spectators.forEach((spectator, clientId) => {
+            if (now - spectator.lastSeen > Config.Network.TIMEOUT) this.dropSpectator(clientId);
+            else if (spectator.conn.open) spectator.conn.send({ type: 'ping', t: now, rtt: spectator.rtt });
+        });
 
-                ctx.beginPath();
-                batch.forEach(w => ctx.roundRect(Math.round(w.x), Math.round(w.y), Math.round(w.w), Math.round(w.h), 5));
-                ctx.fill();
-                ctx.stroke();
+        this.clients.forEach((client, clientId) => {
+            const silence = now - client.lastSeen;
+
+            if (silence > Config.Network.LEAVE_TIMEOUT) {
+                this.dropClient(clientId);
+                return;
             }
+            if (silence > Config.Network.TIMEOUT) this.setClientStatus(clientId, 'lost');
+
+            client.tiltRate = client.tiltCount * 1000 / elapsed;
+            client.tiltCount = 0;
+
+            if (client.conn.open) client.conn.send({ type: 'ping', t: now, rtt: client.rtt });
         });
-    }
 
-    drawPlayer(ctx, p, isBackground) {
-        if (!isBackground) {
-            ctx.shadowBlur = 20;
-            ctx.shadowColor = p.color;
-        }
-        ctx.fillStyle = p.color;
-        ctx.beginPath();
-        ctx.arc(Math.round(p.x), Math.round(p.y), p.radius, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.shadowBlur = 0;
+        this.emit('heartbeat');
     }
 
-    drawGlue(ctx, p) {
-        const startX = p.stickPoint.x;
-        const startY = p.stickPoint.y;
+    /**
+     * Initialize as Controller (or Spectator).
+     * Connects to the host ID found in URL and keeps reconnecting to it.
+     * @param {string} hostId 
+     * @param {string} [role='controller'] - 'controller' | 'spectator'
+     * @param {string|null} [key] - Session key (QR link) or PIN (room code) from the join link
+     */
+    initController(hostId, role = 'controller', key = null) {
+        this.isHost = false;
+        this.hostId = hostId;
+        this.role = role;
+        this.joinKey = key;
+        this.clientId = NetworkManager.getClientId();
+        this.createPeer();
 
-        ctx.save();
-        ctx.beginPath();
+        setInterval(() => this.checkHostAlive(), Config.Network.HEARTBEAT_INTERVAL);
 
-        // Draw a blobby connection
-        // Move to wall anchor
-        ctx.moveTo(startX - 10, startY);
+        // A locked phone freezes timers; check right away when it wakes up
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.checkHostAlive();
+        });
+    }
 
-        // Curve down to player left side
-        ctx.quadraticCurveTo(startX, p.y - p.radius, p.x - p.radius * 0.5, p.y - p.radius * 0.8);
+    createPeer() {
+        this.peer = Transport.createPeer(this.transport);
+        this.peer.on('open', () => {
+            if (!this.conn || !this.conn.open) this.connectToHost();
+        });
+        this.peer.on('disconnected', () => {
+            // The data connection survives losing the signaling server; only rejoin it
+            if (this.conn && this.conn.open) this.peer.reconnect();
+            else this.scheduleReconnect();
+        });
+        this.peer.on('error', (err) => {
+            console.warn('Peer error:', err.type || err);
+            this.scheduleReconnect();
+        });
+    }
 
-        // Across player top (implied by ball body, but let's connect)
-        ctx.lineTo(p.x + p.radius * 0.5, p.y - p.radius * 0.8);
+    connectToHost() {
+        const conn = this.peer.connect(this.hostId, { reliable: true });
+        this.conn = conn;
+        this.lastHostMessage = performance.now();
+
+        conn.on('open', () => {
+            console.log('Connected to Host');
+            this.reconnectAttempts = 0;
+            conn.send({
+                type: 'hello',
+                version: Protocol.VERSION,
+                capabilities: Protocol.CAPABILITIES,
+                clientId: this.clientId,
+                role: this.role,
+                key: this.joinKey
+            });
+            this.setStatus('connected');
+            this.emit('connected');
+        });
 
-        // Curve up to wall anchor right
-        ctx.quadraticCurveTo(startX, p.y - p.radius, startX + 10, startY);
+        conn.on('data', (data) => {
+            if (conn !== this.conn) return;
+            this.lastHostMessage = performance.now();
 
-        ctx.closePath();
+            const error = Protocol.validate(data, 'host', this.capabilities);
+            if (error) {
+                Protocol.logRejected(error, data, 'host');
+                return;
+            }
 
-        ctx.fillStyle = Config.Colors.PLAYER;
-        ctx.globalAlpha = 0.8;
-        ctx.fill();
+            if ((data.type === 'welcome' || data.type === 'spectating') && data.version !== Protocol.VERSION) {
+                console.error(`[Protocol] Host speaks v${data.version}, controller speaks v${Protocol.VERSION}`);
+                this.handleRejected({ reason: 'version', message: 'Version mismatch. Reload both pages.' });
+                return;
+            }
+            if (data.type === 'reject') {
+                this.handleRejected(data);
+                return;
+            }
+            if (data.type === 'welcome' || data.type === 'spectating') this.capabilities = Protocol.negotiate(data.capabilities);
+            if (data.type === 'welcome') this.openTiltChannel();
+
+            if (data.type === 'ping') {
+                conn.send({ type: 'pong', t: data.t });
+                this.rtt = data.rtt;
+                this.measureTiltRate();
+                this.emit('status', this.status, this.rtt);
+                return;
+            }
+            this.emit('data', data); // Pass commands back to controller app (e.g. vibration)
+        });
 
-        // Glue Strands (Details)
-        const dist = Math.abs(p.y - startY);
-        if (dist > 10) {
-            ctx.beginPath();
-            ctx.moveTo(startX, startY);
-            ctx.lineTo(p.x, p.y - p.radius);
-            ctx.strokeStyle = '#ccffdd';
-            ctx.lineWidth = Math.max(0.5, 4 - dist * 0.05); // Thinner as it stretches
-            ctx.stroke();
-        }
+        conn.on('close', () => {
+            if (conn === this.conn) this.scheduleReconnect();
+        });
+        conn.on('error', (err) => console.warn('Host connection error:', err));
+    }
 
-        ctx.restore();
+    /**
+     * Opens the side channel tilt samples travel on. A late sample is worth less
+     * than the next one, so they are neither retransmitted nor kept in order.
+     */
+    openTiltChannel() {
+        this.closeTiltChannel();
+        const conn = this.peer.connect(this.hostId, { reliable: false, label: 'tilt' });
+        this.tiltConn = conn;
+        conn.on('close', () => {
+            if (this.tiltConn === conn) this.tiltConn = null;
+        });
+        conn.on('error', (err) => console.warn('Tilt channel error:', err));
     }
 
-    drawAim(ctx, p, tilt, worldWidth) {
-        const jumpAngle = tilt.angle + Math.PI;
-        const maxLineLen = worldWidth * Config.Ratios.INDICATOR_LENGTH;
-        const lineLen = (tilt.magnitude / 100) * maxLineLen;
+    closeTiltChannel() {
+        if (!this.tiltConn) return;
+        const conn = this.tiltConn;
+        this.tiltConn = null;
+        conn.close();
+    }
 
-        ctx.beginPath();
-        ctx.moveTo(Math.round(p.x), Math.round(p.y));
-        ctx.lineTo(Math.round(p.x + Math.cos(jumpAngle) * lineLen), Math.round(p.y + Math.sin(jumpAngle) * lineLen));
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        ctx.lineWidth = Math.max(1, worldWidth * 0.003);
-        ctx.setLineDash([worldWidth * 0.01, worldWidth * 0.01]);
-        ctx.stroke();
-        ctx.setLineDash([]);
+    /**
+     * Sends a tilt sample: quantized, numbered, and over the tilt channel once it is open.
+     * @param {{angle: number, magnitude: number}} vector
+     */
+    sendTilt(vector) {
+        const conn = this.tiltConn && this.tiltConn.open ? this.tiltConn : this.conn;
+        if (!conn || !conn.open) return;
+
+        conn.send({ type: 'tilt', s: this.tiltSeq, ...Protocol.packTilt(vector) });
+        this.tiltSeq = (this.tiltSeq + 1) % Protocol.SEQ_RANGE;
+        this.tiltSent++;
     }
 
-    drawTide(ctx, tide, width, isBackground) {
-        const tideY = tide.y;
+    /**
+     * Controller: works out the tilt send rate. Pings arrive once per host heartbeat.
+     */
+    measureTiltRate() {
+        const now = performance.now();
+        if (this.lastPing) this.tiltRate = this.tiltSent * 1000 / (now - this.lastPing);
+        this.lastPing = now;
+        this.tiltSent = 0;
+    }
 
-        ctx.fillStyle = tide.color;
-        ctx.beginPath();
-        ctx.moveTo(0, tideY + 1000);
-        ctx.lineTo(0, tideY);
+    /**
+     * The host refused this controller; stop trying to reconnect.
+     * @param {object} reject - { reason, message }
+     */
+    handleRejected(reject) {
+        console.error(`[Protocol] Host rejected this controller (${reject.reason}): ${reject.message}`);
+        this.rejected = true;
+        this.closeTiltChannel();
+        const conn = this.conn;
+        this.conn = null;
+        if (conn) conn.close();
+        this.emit('rejected', reject.reason, reject.message);
+    }
 
-        const waveRes = width * 0.02;
-        const waveAmp = width * Config.Ratios.TIDE_WAVE_AMP;
-        const spikeHeight = width * Config.Ratios.TIDE_GLITCH_SPIKE;
+    /**
+     * Treats a host that has been silent for longer than the timeout as gone.
+     */
+    checkHostAlive() {
+        if (this.rejected || this.reconnectTimer || !this.conn) return;
+        if (performance.now() - this.lastHostMessage > Config.Network.TIMEOUT) {
+            console.warn('Host went silent');
+            this.scheduleReconnect();
+        }
+    }
 
-        for (let x = 0; x <= width; x += waveRes) {
-            let yOffset = Math.sin(x * 0.05 + tide.waveOffset) * waveAmp;
-            if (Math.random() > 0.98) yOffset -= Math.random() * spikeHeight;
-            ctx.lineTo(x, tideY + yOffset);
+    /**
+     * Retries the connection with exponential backoff, reusing the signaling
+     * connection when it is still alive.
+     */
+    scheduleReconnect() {
+        if (this.rejected || this.reconnectTimer) return;
+        this.setStatus('reconnecting');
+        this.closeTiltChannel();
+
+        if (this.conn) {
+            const stale = this.conn;
+            this.conn = null;
+            stale.close();
         }
 
-        ctx.lineTo(width, tideY + 1000);
-        ctx.closePath();
+        const delay = Math.min(
+            Config.Network.RECONNECT_DELAY * Math.pow(2, this.reconnectAttempts++),
+            Config.Network.RECONNECT_MAX_DELAY
+        );
 
-        const tideGrad = ctx.createLinearGradient(0, tideY, 0, tideY + 500);
-        tideGrad.addColorStop(0, 'rgba(255, 0, 85, 0.6)');
-        tideGrad.addColorStop(0.2, 'rgba(50, 0, 20, 0.9)');
-        tideGrad.addColorStop(1, 'rgba(0, 0, 0, 1)');
-        ctx.fillStyle = tideGrad;
-        ctx.fill();
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.lastHostMessage = performance.now(); // Give this attempt a full timeout
 
-        // Top Edge Glow
-        if (!isBackground) {
-            ctx.shadowBlur = Math.min(width * 0.02, 50);
-            ctx.shadowColor = Config.Colors.TIDE_SHADOW;
-            ctx.strokeStyle = Config.Colors.TIDE_STROKE;
-            ctx.lineWidth = width * Config.Ratios.TIDE_LINE_WIDTH;
-            ctx.stroke();
-            ctx.shadowBlur = 0; // Reset
-        } else {
-            // Fake Glow Background
-            ctx.save();
-            ctx.strokeStyle = Config.Colors.TIDE_SHADOW;
-            ctx.lineWidth = width * Config.Ratios.TIDE_LINE_WIDTH * 6;
-            ctx.globalAlpha = 0.4;
-            ctx.stroke();
-            ctx.restore();
+            if (this.peer.destroyed) {
+                this.createPeer();
+            } else if (this.peer.disconnected) {
+                this.peer.reconnect(); // Fires 'open' again
+            } else {
+                this.connectToHost();
+            }
+        }, delay);
+    }
 
-            ctx.strokeStyle = Config.Colors.TIDE_STROKE;
-            ctx.lineWidth = width * Config.Ratios.TIDE_LINE_WIDTH;
-            ctx.stroke();
+    setStatus(status) {
+        this.status = status;
+        this.emit('status', status, this.rtt);
+    }
+
+    /**
+     * Send data to the connected peer.
+     * As Host, sends to one controller if `clientId` is given, otherwise to all of them.
+     * @param {object} data 
+     * @param {string} [clientId]
+     */
+    send(data, clientId) {
+        if (!this.isHost) {
+            if (this.conn && this.conn.open && Protocol.supports(data, this.capabilities)) this.conn.send(data);
+            return;
         }
+
+        const targets = clientId ? [this.clients.get(clientId)] : [...this.clients.values()];
+        targets.forEach(client => {
+            if (client && client.conn.open && Protocol.supports(data, client.conn.capabilities)) client.conn.send(data);
+        });
     }
 
-    updateDangerUI(game) {
-        const screenBottomY = game.camera.y + game.worldHeight;
-        const proximity = game.tide.y - screenBottomY;
-        const dangerZone = game.worldHeight * 0.3; // Responsive danger zone
+    /**
+     * Host only.
+     * @param {string} clientId
+     * @returns {string[]} Capabilities negotiated with that controller
+     */
+    getCapabilities(clientId) {
+        const client = this.clients.get(clientId);
+        return client ? client.conn.capabilities : [];
+    }
 
-        if (proximity < dangerZone) {
-            let intensity = 1 - ((proximity + game.worldHeight * 0.2) / (dangerZone + game.worldHeight * 0.2));
-            intensity = Math.max(0, Math.min(1, intensity));
+    /**
+     * Host only: sends to every spectator.
+     * @param {object} data
+     */
+    sendToSpectators(data) {
+        this.spectators.forEach(spectator => {
+            if (spectator.conn.open && Protocol.supports(data, spectator.conn.capabilities)) spectator.conn.send(data);
+        });
+    }
 
-            const r = 255;
-            const g = Math.floor(255 * (1 - intensity));
-            const b = Math.floor(255 * (1 - intensity));
-            const a = 0.3 + (intensity * 0.5);
+    /**
+     * Host only: page URL that reaches this host over the same transport.
+     * @param {string} param - 'host' to join as a controller, 'watch' to spectate, 'join' for code entry
+     * @param {string} [value] - Defaults to this host's peer ID; '' for a bare flag
+     * @returns {string}
+     */
+    getJoinUrl(param, value = this.peer.id) {
+        const query = value ? `${param}=${value}` : param;
+        const key = param === 'host' ? `&key=${this.key}` : '';
+        return `${this.transport.page}?${query}${key}${this.transport.query}`;
+    }
+
+    /**
+     * @returns {string} Random session key, hex
+     */
+    static createKey() {
+        const bytes = crypto.getRandomValues(new Uint8Array(Config.Auth.KEY_BYTES));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @returns {string} Random session PIN
+     */
+    static createPin() {
+        const [n] = crypto.getRandomValues(new Uint32Array(1));
+        return String(n % Math.pow(10, Config.Auth.PIN_LENGTH)).padStart(Config.Auth.PIN_LENGTH, '0');
+    }
+
+    /**
+     * Stable per-tab controller identity, kept across reloads of the controller page.
+     * @returns {string}
+     */
+    static getClientId() {
+        let id = sessionStorage.getItem('slime.clientId');
+        if (!id) {
+            id = Random.createSeed() + Random.createSeed();
+            sessionStorage.setItem('slime.clientId', id);
+        }
+        return id;
+    }
+}
+
+/**
+ * Normalizes input from various sources (Keyboard, Network, Replay).
+ * Acts as the source of truth for Player controls.
+ *
+ * Incoming events are queued and only applied at the start of a simulation
+ * tick, so a recording tagged with tick numbers reproduces the run exactly.
+ */
+class InputManager {
+    constructor(networkManager) {
+        this.tiltVectors = {}; // Player ID -> latest tilt vector
+        this.tiltBlends = {};  // Player ID -> { from, to, t, ticks } easing between network samples
+        this.modes = {};       // Player ID -> jump control scheme, kept across runs
+        this.networkManager = networkManager;
+        this.pending = [];
+        this.recorder = null; // ReplayRecorder receiving every applied event
+        this.replay = null;   // ReplayPlayer replacing live input
+        this.setupNetworkListeners();
+    }
+
+    setupNetworkListeners() {
+        this.networkManager.on('input_tilt', (v, id) => this.setTilt(v, id, Config.Simulation.TICK_RATE / Config.Network.TILT_RATE));
+        // A jump's own aim replaces whatever blend is under way, on the tick the jump happens
+        this.networkManager.on('input_jump', (id, aim) => {
+            this.setTilt(aim, id);
+            this.triggerJump(id);
+        });
+        this.networkManager.on('input_jump_press', (id) => this.pressJump(id));
+        this.networkManager.on('input_jump_release', (id, aim) => {
+            this.setTilt(aim, id);
+            this.releaseJump(id);
+        });
+        this.networkManager.on('input_controls', (mode, id) => this.setMode(mode, id));
+    }
+
+    /**
+     * @param {Function} callback - Called with the jumping player's ID
+     */
+    onJump(callback) {
+        this.jumpCallback = callback;
+    }
+
+    /**
+     * Hold-to-charge callbacks.
+     * @param {Function} onPress - Called with the player ID when the jump button goes down
+     * @param {Function} onRelease - Called with the player ID when it comes back up
+     */
+    onCharge(onPress, onRelease) {
+        this.pressCallback = onPress;
+        this.releaseCallback = onRelease;
+    }
+
+    /**
+     * @param {string} id - Player ID
+     * @returns {object} Latest tilt vector of that player
+     */
+    getTilt(id) {
+        return this.tiltVectors[id] || { x: 0, y: 0, magnitude: 0, angle: 0 };
+    }
+
+    /**
+     * @param {object} vector - Tilt vector
+     * @param {string} [id]
+     * @param {number} [blend=0] - Ticks to ease into the new tilt over; network
+     *     samples arrive less often than ticks and are smoothed out this way
+     */
+    setTilt(vector, id = InputManager.LOCAL_ID, blend = 0) {
+        this.pending.push(blend > 1 ? { type: 'tilt', id, vector, blend } : { type: 'tilt', id, vector });
+    }
+
+    /**
+     * Lets go of a player's aim, e.g. when their controller drops out mid-tilt.
+     * Queued like any other input, so replays see it too.
+     * @param {string} id - Player ID
+     */
+    clearTilt(id) {
+        this.setTilt({ x: 0, y: 0, magnitude: 0, angle: 0 }, id);
+    }
+
+    triggerJump(id = InputManager.LOCAL_ID) {
+        this.pending.push({ type: 'jump', id });
+    }
+
+    pressJump(id = InputManager.LOCAL_ID) {
+        this.pending.push({ type: 'press', id });
+    }
+
+    releaseJump(id = InputManager.LOCAL_ID) {
+        this.pending.push({ type: 'release', id });
+    }
+
+    /**
+     * @param {string} id - Player ID
+     * @returns {string} 'tilt' | 'charge'
+     */
+    getMode(id) {
+        return this.modes[id] || Config.Controls.DEFAULT_MODE;
+    }
+
+    setMode(mode, id = InputManager.LOCAL_ID) {
+        this.pending.push({ type: 'controls', id, mode });
+    }
+
+    /**
+     * Drops queued input and resets the aim, e.g. when a new run starts.
+     */
+    reset() {
+        this.pending = this.pending.filter(e => e.type === 'controls');
+        this.tiltVectors = {};
+        this.tiltBlends = {};
+    }
+
+    /**
+     * Forgets jumps pressed while the game was paused.
+     * Releases are kept so a charge held through the pause still ends.
+     */
+    dropPendingJumps() {
+        this.pending = this.pending.filter(e => e.type !== 'jump' && e.type !== 'press');
+    }
+
+    /**
+     * Applies the input for one simulation tick.
+     * In replay mode the recorded events for this tick are used and live input is ignored.
+     * @param {number} tick - Current simulation tick
+     */
+    processTick(tick) {
+        let events = this.pending;
+        this.pending = [];
+        if (this.replay) events = this.replay.eventsAt(tick);
+
+        events.forEach(event => {
+            if (this.recorder) this.recorder.record(tick, event);
+
+            if (event.type === 'tilt' && event.blend) {
+                this.tiltBlends[event.id] = { from: this.getTilt(event.id), to: event.vector, t: 0, ticks: event.blend };
+            } else if (event.type === 'tilt') {
+                delete this.tiltBlends[event.id];
+                this.tiltVectors[event.id] = { ...event.vector };
+            } else if (event.type === 'controls') {
+                this.modes[event.id] = event.mode;
+            } else if (event.type === 'jump' && this.jumpCallback) {
+                this.jumpCallback(event.id);
+            } else if (event.type === 'press' && this.pressCallback) {
+                this.pressCallback(event.id);
+            } else if (event.type === 'release' && this.releaseCallback) {
+                this.releaseCallback(event.id);
+            }
+        });
+
+        Object.entries(this.tiltBlends).forEach(([id, blend]) => {
+            blend.t = Math.min(1, blend.t + 1 / blend.ticks);
+            this.tiltVectors[id] = InputManager.blendTilt(blend.from, blend.to, blend.t);
+            if (blend.t >= 1) delete this.tiltBlends[id];
+        });
+    }
+
+    /**
+     * Interpolates two tilt vectors through x/y, so turning doesn't spin the long way round.
+     * @param {object} from
+     * @param {object} to
+     * @param {number} t - 0..1
+     * @returns {object} Tilt vector
+     */
+    static blendTilt(from, to, t) {
+        if (t >= 1) return { ...to };
+        const x = lerp(from.x, to.x, t);
+        const y = lerp(from.y, to.y, t);
+        const magnitude = Math.hypot(x, y);
+        return { x, y, magnitude, angle: magnitude > 0 ? Math.atan2(y, x) : to.angle };
+    }
+
+    /**
+     * Enable keyboard debugging controls (WASD/Arrows).
+     */
+    enableDebugKeys() {
+        console.log("Debug Keys Enabled");
+        const keyMap = {
+            'w': -Math.PI / 2, 'ArrowUp': -Math.PI / 2,
+            's': Math.PI / 2, 'x': Math.PI / 2, 'ArrowDown': Math.PI / 2,
+            'a': Math.PI, 'ArrowLeft': Math.PI,
+            'd': 0, 'ArrowRight': 0,
+            'q': -Math.PI * 0.75,
+            'e': -Math.PI * 0.25,
+            'c': Math.PI * 0.25,
+            'y': Math.PI * 0.75
+        };
+
+        window.addEventListener('keydown', (e) => {
+            if (e.repeat) return;
+            const key = e.key.toLowerCase(); // Check raw key for arrows
+            const code = e.code;
+
+            if (code === 'Space') {
+                if (this.getMode(InputManager.LOCAL_ID) === 'charge') this.pressJump();
+                else this.triggerJump();
+                return;
+            }
+
+            // Check both k (char) and e.key (for Arrows)
+            const angle = keyMap[e.key] ?? keyMap[key];
+
+            if (angle !== undefined) {
+                this.setTilt({
+                    x: Math.cos(angle) * 100,
+                    y: Math.sin(angle) * 100,
+                    magnitude: 100,
+                    angle
+                });
+            }
+        });
+
+        window.addEventListener('keyup', (e) => {
+            if (e.code === 'Space' && this.getMode(InputManager.LOCAL_ID) === 'charge') {
+                this.releaseJump();
+                return;
+            }
+
+            // Simple release mechanism: if any direction key lift, stop (simplified)
+            if (['w', 'a', 's', 'd', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].some(k => e.key === k || e.key.toLowerCase() === k)) {
+                this.setTilt({ ...this.getTilt(InputManager.LOCAL_ID), magnitude: 0 });
+            }
+        });
+    }
+}
+
+/** Player ID used for keyboard input and single-player replays */
+InputManager.LOCAL_ID = 'local';
+
+/**
+ * Records every input event applied during a run, tagged with its tick.
+ */
+class ReplayRecorder {
+    /**
+     * @param {object} meta - Seed, difficulty, player IDs, control schemes, chunk set and world dimensions of the run
+     */
+    start(meta) {
+        this.meta = meta;
+        this.events = [];
+        this.recordedAt = new Date().toISOString();
+    }
+
+    record(tick, event) {
+        if (!this.events) return;
+        this.events.push({ tick, ...event });
+    }
+
+    /**
+     * Finalizes the recording into a replay document.
+     * @param {object} result - Outcome of the run (score, ticks)
+     * @returns {object} Replay JSON
+     */
+    finish(result) {
+        return {
+            format: ReplayPlayer.FORMAT,
+            version: ReplayPlayer.VERSION,
+            tickRate: Config.Simulation.TICK_RATE,
+            recordedAt: this.recordedAt,
+            ...this.meta,
+            result,
+            events: this.events
+        };
+    }
+}
+
+/**
+ * Feeds the events of a recorded replay back tick by tick.
+ */
+class ReplayPlayer {
+    /**
+     * @param {object} data - Replay JSON produced by ReplayRecorder
+     */
+    constructor(data) {
+        if (!data || data.format !== ReplayPlayer.FORMAT) throw new Error('Not a Sticky Slime replay file');
+        if (data.version !== ReplayPlayer.VERSION) throw new Error(`Unsupported replay version ${data.version}`);
+        if (data.tickRate !== Config.Simulation.TICK_RATE) throw new Error(`Replay was recorded at ${data.tickRate} Hz`);
+        if (!Array.isArray(data.players) || data.players.length === 0 || !Array.isArray(data.events)) {
+            throw new Error('Replay file has no players or events');
+        }
+
+        this.data = data;
+        this.rewind();
+    }
+
+    rewind() {
+        this.cursor = 0;
+    }
+
+    /**
+     * @param {number} tick
+     * @returns {object[]} Events recorded for this tick
+     */
+    eventsAt(tick) {
+        const events = [];
+        const recorded = this.data.events;
+        while (this.cursor < recorded.length && recorded[this.cursor].tick <= tick) {
+            const { tick: _, ...event } = recorded[this.cursor++];
+            events.push(event);
+        }
+        return events;
+    }
+}
+
+ReplayPlayer.FORMAT = 'sticky-slime-replay';
+ReplayPlayer.VERSION = 5; // Bump when recorded runs stop reproducing (input, physics or level generation) or the format changes
+
+// ==========================================
+// 3. GAME ENTITIES
+// ==========================================
+
+/**
+ * Base Physics Object.
+ */
+class PhysicsEntity {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.vx = 0;
+        this.vy = 0;
+        this.prevX = x;
+        this.prevY = y;
+    }
+
+    /**
+     * Remember the position at the start of a tick for render interpolation.
+     */
+    savePrevious() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * Position between the previous and current tick.
+     * @param {number} alpha - Fraction of a tick elapsed since the last update (0..1)
+     * @returns {{x: number, y: number}}
+     */
+    interpolate(alpha) {
+        return { x: lerp(this.prevX, this.x, alpha), y: lerp(this.prevY, this.y, alpha) };
+    }
+}
+
+/**
+ * The Slime Player.
+ * Handles physics, states (Air/Stuck), and collision response.
+ */
+class Player extends PhysicsEntity {
+    constructor(x, y, radius, color = Config.Colors.PLAYER) {
+        super(x, y);
+        this.radius = radius;
+        this.state = 'stuck'; // 'stuck' | 'air' | 'sticky' | 'sliding' | 'dead'
+        this.wall = null; // Wall the slime last landed on
+        this.stickPoint = { x: 0, y: 0 }; // Anchor point for sticky state
+        this.impactSpeed = 0; // Stored impact speed for elastic effect
+        this.color = color;
+
+        // Seat
+        this.id = InputManager.LOCAL_ID; // Controller peer ID
+        this.slot = 0;
+        this.alive = true; // False once eliminated, or while waiting for the next run
+        this.score = 0;
+        this.connection = 'online'; // 'online' | 'lost'
+
+        // Hold-to-charge jump
+        this.charging = false;
+        this.charge = 0; // 0..1 of full power
+        this.queuedCharge = 0; // Charge let go of mid-air, spent on the next landing
+
+        // Pickups
+        this.height = 0;     // Best height this run in m
+        this.bonus = 0;      // m collected from gems
+        this.airJumps = 0;   // Stored mid-air jumps
+        this.glueTicks = 0;  // Remaining super glue
+    }
+
+    get name() {
+        return `P${this.slot + 1}`;
+    }
+
+    /** True while resting on a wall */
+    get attached() {
+        return this.state === 'stuck' || this.state === 'sticky' || this.state === 'sliding';
+    }
+
+    /** True if a jump would go off right now (from a wall or a stored air jump) */
+    get canJump() {
+        return this.attached || (this.state === 'air' && this.airJumps > 0);
+    }
+
+    /**
+     * Snapshot of everything the Renderer needs, at an interpolated position.
+     * @param {number} alpha - Render interpolation factor (0..1)
+     */
+    getRenderState(alpha) {
+        const { x, y } = this.interpolate(alpha);
+        return {
+            x, y, radius: this.radius, color: this.color,
+            state: this.state, attached: this.attached, canJump: this.canJump,
+            glued: this.glueTicks > 0, stickPoint: this.stickPoint
+        };
+    }
+
+    resize(ratio) {
+        this.x *= ratio;
+        this.y *= ratio;
+        this.vx *= ratio;
+        this.vy *= ratio;
+        if (this.stickPoint) {
+            this.stickPoint.x *= ratio;
+            this.stickPoint.y *= ratio;
+        }
+        // Radius is updated separately via Game.resize logic usually, but we can do it here if passed
+    }
+
+    updatePhysics(dt, gravity, friction) {
+        if (this.state === 'air') {
+            this.vy += gravity * dt;
+            this.vx *= Math.pow(friction, dt);
+        } else if (this.state === 'sliding') {
+            // Ice: gravity still pulls, the surface barely brakes (Wall.resolve removes the push into it)
+            this.vy += gravity * dt;
+            this.vx *= Math.pow(Config.Walls.ICE_FRICTION, dt);
+            this.vy *= Math.pow(Config.Walls.ICE_FRICTION, dt);
+        } else if (this.state === 'sticky') {
+            // Sticky Physics:
+            // 1. Gravity still applies but is countered by "glue" tension
+            // 2. We pretend there's a spring/damper connecting player to stickPoint
+
+            // Apply reduced gravity (slow ooze downwards)
+            // The speed depends on impactSpeed (higher impact -> oozes faster initially?)
+            // Actually user asked: "stretches slower the further it moves... and faster the higher the speed was"
+
+            // Let's model it as a highly viscous fluid
+            // v = v + g * dt
+            // v = v * drag
+
+            // Base Drag is high
+            let drag = Config.Ratios.STICKY_DRAG + (this.impactSpeed * 0.005); // More speed = less drag (faster ooze)?
+            // Clamp drag to be very slow
+            drag = Math.min(0.98, Math.max(0.85, drag));
+
+            // As we get further from stickPoint, drag increases (slows down)
+            const dist = Math.abs(this.y - this.stickPoint.y);
+            const tension = dist * 0.002;
+            drag -= tension; // Slow down as we stretch
+
+            this.vy += gravity * 0.1 * dt; // Very weak gravity effect (10%)
+            this.vy *= Math.pow(Math.max(0.5, drag), dt); // Heavy damping
+
+            this.vx *= 0.8; // Kill horizontal momentum quickly
+        }
+    }
+
+    /**
+     * Starts charging a jump (the button went down).
+     */
+    startCharge() {
+        this.charging = true;
+        this.charge = 0;
+        this.queuedCharge = 0;
+    }
+
+    /**
+     * @param {number} dt - Time scale of this tick
+     */
+    updateCharge(dt) {
+        if (!this.charging) return;
+        this.charge = Math.min(1, this.charge + dt / (Config.Controls.CHARGE_TIME * 60));
+    }
+
+    /**
+     * Stops charging (the button came back up).
+     * @returns {number} Charge reached, at least MIN_CHARGE, or 0 if no charge was running
+     */
+    releaseCharge() {
+        if (!this.charging) return 0;
+        const charge = Math.max(Config.Controls.MIN_CHARGE, this.charge);
+        this.charging = false;
+        this.charge = 0;
+        return charge;
+    }
+
+    /**
+     * Carries an attached slime along with its wall if that moved this tick.
+     */
+    followWall() {
+        if (!this.attached || !this.wall) return;
+        this.x += this.wall.dx;
+        this.y += this.wall.dy;
+        if (this.state === 'sticky') {
+            this.stickPoint.x += this.wall.dx;
+            this.stickPoint.y += this.wall.dy;
+        }
+    }
+
+    /**
+     * Lets go of the current wall (it crumbled away).
+     */
+    detach() {
+        this.wall = null;
+        if (this.attached) this.state = 'air';
+    }
+
+    /**
+     * Counts down timed power-ups.
+     * @param {number} dt - Time scale of this tick
+     */
+    updatePowerUps(dt) {
+        this.glueTicks = Math.max(0, this.glueTicks - dt);
+    }
+
+    jump(angle, forceMagnitude, maxForce, forceMult) {
+        if (!this.attached) {
+            if (!this.canJump) return false;
+            this.airJumps--;
+        }
+
+        const force = Math.min(forceMagnitude * forceMult, maxForce);
+        const jumpAngle = angle + Math.PI; // Jump opposite to tilt
+
+        this.vx = Math.cos(jumpAngle) * force;
+        this.vy = Math.sin(jumpAngle) * force;
+        this.state = 'air';
+        this.wall = null;
+        return true; // Jump successful
+    }
+
+    /**
+     * Resolves collision with the world bounds.
+     * @param {number} width - World width
+     */
+    checkBounds(width) {
+        if (this.x - this.radius < 0) {
+            this.x = this.radius;
+            this.vx *= -0.7;
+        } else if (this.x + this.radius > width) {
+            this.x = width - this.radius;
+            this.vx *= -0.7;
+        }
+    }
+}
+
+/**
+ * Represents a single Wall/Platform.
+ * Types: normal, bouncy, vertical, moving (oscillates), crumbling (breaks after
+ * being stuck to), ice (slippery) and spike (ends the run).
+ */
+class Wall {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     * @param {number} h
+     * @param {string} type
+     * @param {{axis: 'x'|'y', range: number, phase: number}|null} motion - Oscillation of a moving wall
+     */
+    constructor(x, y, w, h, type = 'normal', motion = null) {
+        this.id = Wall.nextId++; // Matches walls across spectator snapshots
+        this.x = x;
+        this.y = y;
+        this.w = w;
+        this.h = h;
+        this.type = type;
+
+        this.motion = motion;
+        this.originX = x;
+        this.originY = y;
+        this.time = 0; // Ticks since spawn, drives the motion
+        this.dx = 0;   // Displacement during the last tick
+        this.dy = 0;
+
+        this.crumbleTicks = null; // Ticks left before a touched crumbling wall breaks
+        this.broken = false;
+        this.savePrevious();
+    }
+
+    savePrevious() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * Advances motion and crumbling by one tick.
+     * @param {number} dt - Time scale
+     */
+    update(dt) {
+        this.dx = 0;
+        this.dy = 0;
+
+        if (this.motion) {
+            this.time += dt;
+            const cycle = Config.Walls.MOVE_PERIOD * 60;
+            const offset = Math.sin(this.motion.phase + this.time * Math.PI * 2 / cycle) * this.motion.range;
+            const x = this.motion.axis === 'x' ? this.originX + offset : this.originX;
+            const y = this.motion.axis === 'y' ? this.originY + offset : this.originY;
+            this.dx = x - this.x;
+            this.dy = y - this.y;
+            this.x = x;
+            this.y = y;
+        }
+
+        if (this.crumbleTicks !== null) {
+            this.crumbleTicks -= dt;
+            if (this.crumbleTicks <= 0) this.broken = true;
+        }
+    }
+
+    /**
+     * Starts the countdown of a crumbling wall (no-op if it is already running).
+     */
+    startCrumble() {
+        if (this.crumbleTicks === null) this.crumbleTicks = Config.Walls.CRUMBLE_TIME * 60;
+    }
+
+    resize(ratio) {
+        this.x *= ratio;
+        this.y *= ratio;
+        this.w *= ratio;
+        this.h *= ratio;
+        this.originX *= ratio;
+        this.originY *= ratio;
+        if (this.motion) this.motion.range *= ratio;
+        this.savePrevious();
+    }
+
+    /**
+     * @param {number} alpha - Render interpolation factor (0..1)
+     */
+    getRenderState(alpha) {
+        let x = lerp(this.prevX, this.x, alpha);
+        // Crumbling walls shake harder the closer they are to breaking
+        if (this.crumbleTicks !== null) {
+            const progress = 1 - this.crumbleTicks / (Config.Walls.CRUMBLE_TIME * 60);
+            x += Math.sin(this.crumbleTicks * 2) * progress * this.h * 0.3;
+        }
+        return { x, y: lerp(this.prevY, this.y, alpha), w: this.w, h: this.h, type: this.type };
+    }
+
+    /**
+     * Checks collision with a circle (Player).
+     * @param {Player} p 
+     * @returns {object|null} Collision data (dist, nx, ny) or null
+     */
+    checkCollision(p) {
+        const closestX = Math.max(this.x, Math.min(p.x, this.x + this.w));
+        const closestY = Math.max(this.y, Math.min(p.y, this.y + this.h));
+
+        const dx = p.x - closestX;
+        const dy = p.y - closestY;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (dist < p.radius) {
+            return { dist, dx, dy };
+        }
+        return null;
+    }
+
+    resolve(p, colData) {
+        // 1. Depenetrate
+        const overlap = p.radius - colData.dist;
+        let nx, ny;
+        if (colData.dist === 0) {
+            nx = 0; ny = -1;
+        } else {
+            nx = colData.dx / colData.dist;
+            ny = colData.dy / colData.dist;
+        }
+
+        p.x += nx * overlap;
+        p.y += ny * overlap;
+
+        // 2. Reaction
+        if (this.type === 'spike') {
+            p.state = 'dead';
+            p.vx = 0;
+            p.vy = 0;
+            return true;
+        } else if (this.type === 'ice' && p.glueTicks <= 0) {
+            // Slide: drop the velocity into the surface, keep the rest
+            const dot = p.vx * nx + p.vy * ny;
+            if (dot < 0) {
+                p.vx -= dot * nx;
+                p.vy -= dot * ny;
+            }
+            p.state = 'sliding';
+            p.wall = this;
+            return false; // Keeps moving along the surface
+        } else if (this.type === 'bouncy' && p.glueTicks <= 0) {
+            // Reflect: v - 2(v.n)n
+            const dot = p.vx * nx + p.vy * ny;
+            p.vx = p.vx - 2 * dot * nx;
+            p.vy = p.vy - 2 * dot * ny;
+            p.vx *= 1.1; // Energy gain
+            p.vy *= 1.1;
+            return false; // Did not stick
+        } else {
+            // Stick
+            p.wall = this;
+            // Check for ceiling collision (ny > 0.5 means normal points DOWN, so we hit from BELOW)
+            if (ny > 0.5 && this.type === 'normal') {
+                // Underside Collision -> Sticky Mode
+                p.state = 'sticky';
+                p.stickPoint = { x: p.x, y: this.y + this.h }; // Anchor at bottom of wall
+
+                // Calculate impact speed for visual/physics effects
+                p.impactSpeed = Math.abs(p.vy);
+
+                // Kill velocity immediately to start the "stretch" from 0
+                p.vx = 0;
+                p.vy = 0;
+            } else {
+                // Top/Side Collision -> Normal Stick
+                p.state = 'stuck';
+                p.vx = 0;
+                p.vy = 0;
+            }
+            return true; // Stuck
+        }
+    }
+}
+
+Wall.TYPES = ['normal', 'bouncy', 'vertical', 'moving', 'crumbling', 'ice', 'spike'];
+Wall.nextId = 1;
+
+/**
+ * A collectible floating in the tower: gem, freeze, air_jump or glue.
+ */
+class Pickup {
+    constructor(x, y, radius, type) {
+        this.x = x;
+        this.y = y;
+        this.radius = radius;
+        this.type = type;
+        this.collected = false;
+    }
+
+    /**
+     * Circle test against the path the player swept this tick, so fast jumps can't skip over it.
+     * @param {Player} p
+     * @returns {boolean}
+     */
+    hits(p) {
+        const sx = p.x - p.prevX;
+        const sy = p.y - p.prevY;
+        const len2 = sx * sx + sy * sy;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((this.x - p.prevX) * sx + (this.y - p.prevY) * sy) / len2)) : 1;
+        const dx = this.x - (p.prevX + sx * t);
+        const dy = this.y - (p.prevY + sy * t);
+        const reach = this.radius + p.radius;
+        return dx * dx + dy * dy < reach * reach;
+    }
+
+    resize(ratio) {
+        this.x *= ratio;
+        this.y *= ratio;
+        this.radius *= ratio;
+    }
+}
+
+/**
+ * The Rising Tide (Game Over Mechanic).
+ */
+class Tide {
+    constructor(y) {
+        this.y = y;
+        this.speed = 0;
+        this.speedScale = 1; // Difficulty multiplier at the current height
+        this.waveOffset = 0;
+        this.color = Config.Colors.TIDE_BASE;
+        this.savePrevious();
+    }
+
+    savePrevious() {
+        this.prevY = this.y;
+        this.prevWaveOffset = this.waveOffset;
+    }
+
+    update(dt, playerY, worldWidth, worldHeight) {
+        // Catch-up Mechanic
+        const distToTide = this.y - playerY;
+        const catchUpThreshold = worldHeight * 0.5;
+
+        let currentSpeed = this.speed * this.speedScale;
+
+        if (distToTide > catchUpThreshold) {
+            currentSpeed += (distToTide - catchUpThreshold) * Config.Ratios.TIDE_CATCHUP;
+        }
+
+        this.y -= currentSpeed * dt;
+        this.waveOffset += 0.1 * dt;
+    }
+}
+
+/**
+ * Handles Game Camera (Vertical Scrolling).
+ */
+class Camera {
+    constructor() {
+        this.y = 0;
+        this.prevY = 0;
+        this.smoothness = 0.1;
+    }
+
+    savePrevious() {
+        this.prevY = this.y;
+    }
+
+    update(targetY, dt, limitY) {
+        const lerpFactor = 1 - Math.pow(1 - this.smoothness, dt);
+        this.y += (targetY - this.y) * lerpFactor;
+
+        // Clamp to prevent looking into void below tide
+        if (this.y > limitY) this.y = limitY;
+    }
+}
+
+/**
+ * A difficulty preset and its curves over height.
+ */
+class Difficulty {
+    /**
+     * @param {string} name - Preset name; unknown names fall back to the default
+     */
+    constructor(name) {
+        this.name = Difficulty.isPreset(name) ? name : Config.Difficulty.DEFAULT;
+        this.preset = Config.Difficulty.Presets[this.name];
+    }
+
+    get label() {
+        return this.preset.label;
+    }
+
+    /**
+     * @param {number} height - Climbed height in world widths
+     * @returns {{tideSpeed: number, gap: number, wallWidth: number, hazards: number}} Multipliers at that height
+     */
+    at(height) {
+        const t = Math.min(1, Math.max(0, height / Config.Difficulty.RAMP_HEIGHT));
+        const curve = ([start, end]) => lerp(start, end, t);
+        return {
+            tideSpeed: curve(this.preset.tideSpeed),
+            gap: curve(this.preset.gap),
+            wallWidth: curve(this.preset.wallWidth),
+            hazards: curve(this.preset.hazards)
+        };
+    }
+
+    /**
+     * @param {any} name
+     * @returns {boolean}
+     */
+    static isPreset(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(Config.Difficulty.Presets, name);
+    }
+}
+
+/**
+ * Procedural Generator for Levels.
+ * Owns a seeded PRNG so the same seed always builds the same tower.
+ */
+class LevelGenerator {
+    constructor() {
+        this.highestY = 0;
+        this.startY = 0;
+        this.rng = new Random();
+        this.pickupRng = new Random(); // Separate stream, so pickups never change the walls
+        this.pickups = [];             // Spawned since the last takePickups()
+        this.difficulty = new Difficulty();
+
+        this.library = [];   // Loaded chunks, picked up by the next reset
+        this.libraryId = null;
+        this.chunks = [];    // Chunks in use for the current tower
+        this.queue = [];     // Walls of the chunk being placed, bottom-up
+        this.chunkBase = 0;  // Bottom of that chunk
+        this.chunkHeight = 0;
+    }
+
+    /**
+     * @param {number} startY - Top of the floor
+     * @param {string} seed - Level seed
+     * @param {Difficulty} difficulty
+     */
+    reset(startY, seed, difficulty = new Difficulty()) {
+        this.highestY = startY;
+        this.startY = startY;
+        this.rng = new Random(seed);
+        this.pickupRng = new Random(`${seed}:pickups`);
+        this.pickups = [];
+        this.difficulty = difficulty;
+        this.chunks = this.library;
+        this.queue = [];
+    }
+
+    /**
+     * @param {number} ratio - New world width / old world width
+     */
+    resize(ratio) {
+        this.pickups.forEach(p => p.resize(ratio));
+        this.highestY *= ratio;
+        this.startY *= ratio;
+        this.chunkBase *= ratio;
+    }
+
+    /**
+     * @returns {Pickup[]} Pickups spawned since the last call
+     */
+    takePickups() {
+        const pickups = this.pickups;
+        this.pickups = [];
+        return pickups;
+    }
+
+    /**
+     * Maybe places a pickup in the gap between the previous highest wall and a new one.
+     * Always consumes three draws from the pickup stream.
+     * @param {number} fromY - Previous highest wall
+     * @param {number} toY - New wall
+     * @param {number} worldWidth
+     */
+    spawnPickup(fromY, toY, worldWidth) {
+        const rand = () => this.pickupRng.next();
+        const chance = rand();
+        const roll = rand();
+        const pos = rand();
+        if (chance >= Config.Pickups.CHANCE) return;
+
+        const weights = Config.Pickups.TYPE_WEIGHTS;
+        const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+        let type = 'gem';
+        let acc = 0;
+        for (const [t, weight] of Object.entries(weights)) {
+            acc += weight / total;
+            if (roll < acc) {
+                type = t;
+                break;
+            }
+        }
+
+        const radius = Config.Pickups.RADIUS * worldWidth;
+        const x = radius + pos * (worldWidth - 2 * radius);
+        this.pickups.push(new Pickup(x, (fromY + toY) / 2, radius, type));
+    }
+
+    /**
+     * Installs a chunk library. Takes effect from the next tower on, so a run in
+     * progress keeps generating the same way.
+     * @param {object[]} chunks - From LevelGenerator.parseChunks
+     */
+    setChunks(chunks) {
+        this.library = chunks;
+        this.libraryId = chunks.length ? Random.hash(JSON.stringify(chunks)).toString(36) : null;
+    }
+
+    /**
+     * Generates the next wall above the current highest one, either from an
+     * authored chunk or at random.
+     * @param {number} worldWidth
+     * @returns {Wall}
+     */
+    generateNext(worldWidth) {
+        if (this.queue.length === 0 && !this.rollChunk(worldWidth)) return this.generateRandom(worldWidth);
+
+        const def = this.queue.shift();
+        const top = this.chunkBase - (def.y + def.h) * worldWidth;
+        const motion = def.move ? { axis: def.move.axis, range: def.move.range * worldWidth, phase: def.move.phase || 0 } : null;
+
+        this.highestY = Math.min(this.highestY, top);
+        if (this.queue.length === 0) this.highestY = Math.min(this.highestY, this.chunkBase - this.chunkHeight * worldWidth);
+        return new Wall(def.x * worldWidth, top, def.w * worldWidth, def.h * worldWidth, def.type, motion);
+    }
+
+    /**
+     * Decides whether a chunk comes next (two draws whenever chunks are loaded)
+     * and queues its walls if so. Chunks are weighted by the height band the tower has reached.
+     * @param {number} worldWidth
+     * @returns {boolean} True if a chunk was queued
+     */
+    rollChunk(worldWidth) {
+        if (this.chunks.length === 0) return false;
+
+        const roll = this.rng.next();
+        const pick = this.rng.next();
+        if (roll >= Config.Chunks.CHANCE) return false;
+
+        const height = (this.startY - this.highestY) / worldWidth;
+        const weights = this.chunks.map(chunk => LevelGenerator.chunkWeight(chunk, height));
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        if (total <= 0) return false;
+
+        let r = pick * total;
+        let chunk = null;
+        for (let i = 0; i < this.chunks.length && !chunk; i++) {
+            if (weights[i] > 0 && ((r -= weights[i]) < 0 || i === this.chunks.length - 1)) chunk = this.chunks[i];
+        }
+        if (!chunk) return false;
+
+        this.chunkBase = this.highestY - chunk.gap * worldWidth;
+        this.chunkHeight = chunk.height;
+        this.queue = [...chunk.walls];
+        return true;
+    }
+
+    /**
+     * @param {object} chunk
+     * @param {number} height - Climbed height in world widths
+     * @returns {number} Pick weight of the chunk at that height
+     */
+    static chunkWeight(chunk, height) {
+        if (!chunk.bands) return 1;
+        const band = chunk.bands.find(b => height >= b.from && (b.to === undefined || height < b.to));
+        return band ? band.weight : 0;
+    }
+
+    /**
+     * Validates a chunk library.
+     *
+     * All sizes are in world widths; wall `y` is the height of its bottom edge above the chunk base.
+     *     {
+     *       "format": "sticky-slime-chunks", "version": 1,
+     *       "chunks": [{
+     *         "name": "bouncy-chimney",
+     *         "gap": 0.3,       // Space below the chunk
+     *         "height": 1.2,    // Space it takes up; the next wall goes above it
+     *         "bands": [{ "from": 1, "to": 6, "weight": 2 }], // Optional, by climbed height ("to" optional)
+     *         "walls": [{ "x": 0.3, "y": 0, "w": 0.05, "h": 1, "type": "bouncy",
+     *                     "move": { "axis": "x", "range": 0.1, "phase": 0 } }] // "move" optional
+     *       }]
+     *     }
+     * @param {object} data
+     * @returns {object[]} Chunks with their walls sorted bottom-up
+     * @throws {Error} If the document is malformed
+     */
+    static parseChunks(data) {
+        if (!data || data.format !== LevelGenerator.CHUNK_FORMAT) throw new Error('Not a Sticky Slime chunk file');
+        if (data.version !== LevelGenerator.CHUNK_VERSION) throw new Error(`Unsupported chunk version ${data.version}`);
+        if (!Array.isArray(data.chunks)) throw new Error('"chunks" must be an array');
+
+        const isNum = (v) => Number.isFinite(v);
+        return data.chunks.map((chunk, i) => {
+            const where = `chunk ${chunk && chunk.name ? `"${chunk.name}"` : i}`;
+            if (!chunk || !isNum(chunk.gap) || !isNum(chunk.height) || chunk.height <= 0) throw new Error(`${where}: needs numeric "gap" and "height"`);
+            if (!Array.isArray(chunk.walls) || chunk.walls.length === 0) throw new Error(`${where}: needs at least one wall`);
+            if (chunk.bands !== undefined && !(Array.isArray(chunk.bands) && chunk.bands.every(b =>
+                isNum(b.from) && isNum(b.weight) && b.weight >= 0 && (b.to === undefined || isNum(b.to))))) {
+                throw new Error(`${where}: malformed "bands"`);
+            }
+
+            chunk.walls.forEach((w, j) => {
+                if (![w.x, w.y, w.w, w.h].every(isNum) || w.w <= 0 || w.h <= 0) throw new Error(`${where}, wall ${j}: needs numeric x, y, w, h`);
+                if (!Wall.TYPES.includes(w.type)) throw new Error(`${where}, wall ${j}: unknown type "${w.type}"`);
+                if (w.move && !((w.move.axis === 'x' || w.move.axis === 'y') && isNum(w.move.range))) {
+                    throw new Error(`${where}, wall ${j}: malformed "move"`);
+                }
+            });
+
+            return { ...chunk, walls: [...chunk.walls].sort((a, b) => a.y - b.y) };
+        });
+    }
+
+    /**
+     * A single random wall. Rolled in world-width units and consumes exactly five draws,
+     * so a seed yields the same sequence of walls on any screen size.
+     * @param {number} worldWidth
+     * @returns {Wall}
+     */
+    generateRandom(worldWidth) {
+        const rand = () => this.rng.next();
+        const difficulty = this.difficulty.at((this.startY - this.highestY) / worldWidth);
+
+        const gap = (Config.Ratios.WALL_GAP_MIN + rand() * Config.Ratios.WALL_GAP_RANGE) * difficulty.gap;
+        const y = this.highestY - gap * worldWidth;
+
+        // Roll Type (hazards crowd out plain walls as the difficulty ramps up)
+        const roll = rand();
+        const weights = { ...Config.Walls.TYPE_WEIGHTS };
+        Config.Walls.HAZARDS.forEach(t => weights[t] *= difficulty.hazards);
+        const others = Object.keys(weights).reduce((sum, t) => t === 'normal' ? sum : sum + weights[t], 0);
+        weights.normal = Math.max(0.1, 1 - others);
+        const total = others + weights.normal;
+
+        let type = 'normal';
+        let acc = 0;
+        for (const [t, weight] of Object.entries(weights)) {
+            acc += weight / total;
+            if (roll < acc) {
+                type = t;
+                break;
+            }
+        }
+
+        let w, h;
+
+        if (type === 'vertical') {
+            w = Config.Ratios.WALL_HEIGHT;
+            h = 0.10 + rand() * 0.5;
+        } else {
+            w = (Config.Ratios.WALL_WIDTH_MIN + rand() * Config.Ratios.WALL_WIDTH_RANGE) * difficulty.wallWidth;
+            h = Config.Ratios.WALL_HEIGHT;
+        }
+        if (type === 'spike') w = Math.min(w, 0.25); // Always leave room to get past
+        if (type === 'moving') w = Math.min(w, 0.5);  // And room to move
+
+        let x = rand() * (1 - w);
+
+        // Variant: axis and phase of a moving wall
+        const variant = rand();
+        let motion = null;
+        if (type === 'moving') {
+            const axis = variant < 0.5 ? 'x' : 'y';
+            // Vertical movers travel less so they stay clear of the walls above and below
+            const range = Config.Walls.MOVE_RANGE * (axis === 'x' ? 1 : 0.5);
+            if (axis === 'x') x = range + (x / (1 - w)) * (1 - w - 2 * range);
+            motion = { axis, range: range * worldWidth, phase: variant * Math.PI * 4 };
+        }
+
+        this.spawnPickup(this.highestY, y, worldWidth);
+        this.highestY = y;
+        return new Wall(x * worldWidth, y, w * worldWidth, h * worldWidth, type, motion);
+    }
+}
+
+LevelGenerator.CHUNK_FORMAT = 'sticky-slime-chunks';
+LevelGenerator.CHUNK_VERSION = 1;
+
+/**
+ * Trajectory of the best run on a seed, replayed as a translucent "ghost".
+ * Positions are stored in world-width units so they survive screen changes.
+ */
+class Ghost {
+    /**
+     * @param {object} data - { score, interval, samples: [[x, y], ...] }
+     */
+    constructor(data) {
+        this.score = data.score;
+        this.interval = data.interval;
+        this.samples = data.samples;
+    }
+
+    /**
+     * Position of the ghost at a (fractional) tick. Holds the last sample once the run ended.
+     * @param {number} tick
+     * @param {number} worldWidth
+     * @returns {{x: number, y: number}|null}
+     */
+    positionAt(tick, worldWidth) {
+        if (this.samples.length === 0) return null;
+
+        const t = Math.max(0, tick / this.interval);
+        const i = Math.min(Math.floor(t), this.samples.length - 1);
+        const next = Math.min(i + 1, this.samples.length - 1);
+        const f = t - Math.floor(t);
+
+        return {
+            x: lerp(this.samples[i][0], this.samples[next][0], f) * worldWidth,
+            y: lerp(this.samples[i][1], this.samples[next][1], f) * worldWidth
+        };
+    }
+
+    /**
+     * @param {string} seed
+     * @param {string} difficulty - Preset name (towers differ per preset)
+     * @param {string|null} library - LevelGenerator.libraryId (towers differ per chunk set)
+     * @returns {Ghost|null} Best run saved for this tower
+     */
+    static load(seed, difficulty, library) {
+        try {
+            const raw = localStorage.getItem(Ghost.storageKey(seed, difficulty, library));
+            return raw ? new Ghost(JSON.parse(raw)) : null;
+        } catch (e) {
+            console.warn('Could not load ghost:', e);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} seed
+     * @param {string} difficulty - Preset name
+     * @param {string|null} library - LevelGenerator.libraryId
+     * @param {object} data - { score, interval, samples }
+     */
+    static save(seed, difficulty, library, data) {
+        try {
+            localStorage.setItem(Ghost.storageKey(seed, difficulty, library), JSON.stringify(data));
+        } catch (e) {
+            console.warn('Could not save ghost:', e);
+        }
+    }
+
+    /**
+     * @returns {string} localStorage key of the ghost for this tower
+     */
+    static storageKey(seed, difficulty, library) {
+        return `${Config.Ghost.STORAGE_PREFIX}${seed}.${difficulty}.${library || 'procedural'}`;
+    }
+}
+
+/**
+ * Persistent top-N high score table of this host.
+ * Entries: { id, name, score, height, date, seed, difficulty }
+ */
+class Leaderboard {
+    constructor() {
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(Config.Leaderboard.STORAGE_KEY));
+            if (Array.isArray(saved)) this.entries = saved;
+        } catch (e) {
+            console.warn('Could not load leaderboard:', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(Config.Leaderboard.STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (e) {
+            console.warn('Could not save leaderboard:', e);
+        }
+    }
+
+    /**
+     * @param {number} score
+     * @returns {boolean} True if the score would make it onto the table
+     */
+    qualifies(score) {
+        if (score <= 0) return false;
+        return this.entries.length < Config.Leaderboard.SIZE || score > this.entries[this.entries.length - 1].score;
+    }
+
+    /**
+     * Inserts a run (ties rank below earlier entries) and trims the table.
+     * @param {object} entry - Without id
+     * @returns {object|null} The stored entry, or null if it did not qualify
+     */
+    add(entry) {
+        if (!this.qualifies(entry.score)) return null;
+
+        const stored = { id: Random.createSeed() + Date.now().toString(36), ...entry };
+        const index = this.entries.findIndex(e => e.score < stored.score);
+        this.entries.splice(index === -1 ? this.entries.length : index, 0, stored);
+        this.entries.length = Math.min(this.entries.length, Config.Leaderboard.SIZE);
+        this.save();
+        return stored;
+    }
+
+    /**
+     * @param {string} id - Entry ID
+     * @returns {number} 1-based rank, or 0 if the entry is no longer on the table
+     */
+    rankOf(id) {
+        return this.entries.findIndex(e => e.id === id) + 1;
+    }
+
+    /**
+     * @param {string} id - Entry ID
+     * @param {string} name - Player-entered name
+     * @returns {boolean} True if the entry still exists
+     */
+    rename(id, name) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) return false;
+        entry.name = Leaderboard.cleanName(name) || entry.name;
+        this.save();
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string} Name without control characters, trimmed to NAME_MAX
+     */
+    static cleanName(name) {
+        return String(name).replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, Config.Leaderboard.NAME_MAX);
+    }
+}
+
+// ==========================================
+// 4. VISUALS, AUDIO & RENDERING
+// ==========================================
+
+class Renderer {
+    constructor(canvas, bgCanvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d', { alpha: false });
+        this.bgCanvas = bgCanvas;
+        this.bgCtx = bgCanvas.getContext('2d', { alpha: false });
+
+        // Setup static BG effects
+        this.bgCtx.filter = Config.Visual.BG_BLUR;
+        this.bgCanvas.style.filter = 'none'; // Clear CSS filter
+
+        // ms spent on each part of the last draw: predicting jump previews, then
+        // issuing each pass (CPU side; the GPU may finish later)
+        this.timings = { preview: 0, main: 0, background: 0 };
+    }
+
+    /**
+     * Fits the game canvas to the window at a 13:16 aspect ratio.
+     * @param {number} winW - Window width
+     * @param {number} winH - Window height
+     * @returns {{width: number, height: number}} World size for that canvas
+     */
+    resize(winW, winH) {
+        const targetAspect = 13 / 16;
+        const winAspect = winW / winH;
+        let w, h;
+
+        if (winAspect > targetAspect) {
+            h = winH;
+            w = h * targetAspect;
+        } else {
+            w = winW;
+            h = w / targetAspect;
+        }
+
+        this.canvas.width = w;
+        this.canvas.height = h;
+
+        // Low Res BG
+        this.bgCanvas.width = winW * Config.Visual.BG_SCALE_RES;
+        this.bgCanvas.height = winH * Config.Visual.BG_SCALE_RES;
+        // Restore Blur Context State after resize
+        this.bgCtx.filter = Config.Visual.BG_BLUR;
+
+        return { width: w / Config.Visual.ZOOM, height: h / Config.Visual.ZOOM };
+    }
+
+    clear() {
+        this.ctx.fillStyle = '#0a0a12';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (this.bgCanvas.width > 0) {
+            this.bgCtx.clearRect(0, 0, this.bgCanvas.width, this.bgCanvas.height);
+        }
+    }
+
+    /**
+     * Main Draw Call
+     * @param {Game} game - Game state
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks
+     */
+    draw(game, alpha = 1) {
+        this.clear();
+
+        // 0. Predict Jump Previews
+        let start = performance.now();
+        const alive = game.sim.players.filter(p => p.alive);
+        const trajectories = alive.map(p => p.canJump ? game.predictTrajectory(p) : null);
+        this.timings.preview = performance.now() - start;
+
+        const view = {
+            cameraY: lerp(game.sim.camera.prevY, game.sim.camera.y, alpha),
+            walls: game.sim.walls.map(w => w.getRenderState(alpha)),
+            players: alive.map((p, i) => ({
+                ...p.getRenderState(alpha),
+                aim: game.getAim(p),
+                trajectory: trajectories[i]
+            })),
+            ghost: game.ghost ? game.ghost.positionAt(game.sim.tick - 1 + alpha, game.sim.worldWidth) : null,
+            tide: {
+                y: lerp(game.sim.tide.prevY, game.sim.tide.y, alpha),
+                waveOffset: lerp(game.sim.tide.prevWaveOffset, game.sim.tide.waveOffset, alpha),
+                color: game.sim.tideFrozenTicks > 0 ? Config.Colors.TIDE_FROZEN : game.sim.tide.color
+            },
+            pickups: game.sim.pickups,
+            tick: game.sim.tick
+        };
+
+        // 1. Draw Game World
+        start = performance.now();
+        this.drawWorld(this.ctx, game, view, false);
+        this.timings.main = performance.now() - start;
+
+        // 2. Draw Background Mirror (Optimized)
+        start = performance.now();
+        if (this.bgCanvas.width > 0) {
+            this.bgCtx.save();
+            const scale = Math.max(
+                this.bgCanvas.width / this.canvas.width,
+                this.bgCanvas.height / this.canvas.height
+            );
+            const offsetX = (this.bgCanvas.width - (this.canvas.width * scale)) / 2;
+            const offsetY = (this.bgCanvas.height - (this.canvas.height * scale)) / 2;
+
+            this.bgCtx.translate(offsetX, offsetY);
+            this.bgCtx.scale(scale, scale);
+
+            this.drawWorld(this.bgCtx, game, view, true);
+            this.bgCtx.restore();
+        }
+        this.timings.background = performance.now() - start;
+
+        // 3. Update Visual Danger Indicator (Dom separation - strictly UI)
+        this.updateDangerUI(game);
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Game} game - Game state (walls, input, dimensions)
+     * @param {object} view - Interpolated camera, player and tide for this frame
+     * @param {boolean} isBackground
+     */
+    drawWorld(ctx, game, view, isBackground) {
+        ctx.save();
+        ctx.scale(Config.Visual.ZOOM, Config.Visual.ZOOM);
+        ctx.translate(0, -view.cameraY);
+
+        // Draw Walls
+        this.drawWalls(ctx, view.walls, isBackground);
+
+        // Draw Pickups
+        this.drawPickups(ctx, view.pickups, view.tick, isBackground);
+
+        // Draw Ghost (behind the live player, main canvas only)
+        if (view.ghost && !isBackground) {
+            this.drawGhost(ctx, view.ghost, game.sim.worldWidth * Config.Ratios.PLAYER_RADIUS, view.cameraY, game);
+        }
+
+        view.players.forEach(player => {
+            // Draw Player
+            this.drawPlayer(ctx, player, isBackground);
+
+            // Draw Aim Line
+            if (player.canJump) {
+                this.drawAim(ctx, player, player.aim, game.sim.worldWidth);
+                if (player.trajectory && !isBackground) this.drawTrajectory(ctx, player, player.trajectory);
+            }
+
+            // Draw Glue (Sticky State)
+            if (player.state === 'sticky') {
+                this.drawGlue(ctx, player);
+            }
+        });
+
+        // Draw Tide
+        this.drawTide(ctx, view.tide, game.sim.worldWidth, isBackground);
+
+        ctx.restore();
+    }
+
+    drawWalls(ctx, walls, isBackground) {
+        // Optimized Batch Rendering logic
+        const types = Wall.TYPES;
+        const configs = {
+            'normal': Config.Colors.WALL_NORMAL,
+            'bouncy': Config.Colors.WALL_BOUNCY,
+            'vertical': Config.Colors.WALL_VERTICAL,
+            'moving': Config.Colors.WALL_MOVING,
+            'crumbling': Config.Colors.WALL_CRUMBLING,
+            'ice': Config.Colors.WALL_ICE,
+            'spike': Config.Colors.WALL_SPIKE
+        };
+
+        types.forEach(type => {
+            const batch = walls.filter(w => w.type === type);
+            if (batch.length === 0) return;
+
+            const conf = configs[type];
+
+            if (isBackground) {
+                // Fake Glow approach for speed
+                ctx.save();
+                ctx.beginPath();
+                batch.forEach(w => ctx.roundRect(Math.round(w.x), Math.round(w.y), Math.round(w.w), Math.round(w.h), 5));
+                ctx.strokeStyle = conf.shadow;
+                ctx.lineWidth = 12;
+                ctx.globalAlpha = 0.3;
+                ctx.stroke();
+                ctx.restore();
+
+                ctx.beginPath();
+                batch.forEach(w => ctx.roundRect(Math.round(w.x), Math.round(w.y), Math.round(w.w), Math.round(w.h), 5));
+                ctx.fillStyle = conf.fill;
+                ctx.strokeStyle = conf.stroke;
+                ctx.lineWidth = 2;
+                ctx.fill();
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = conf.fill;
+                ctx.strokeStyle = conf.stroke;
+                ctx.shadowColor = conf.shadow;
+                ctx.shadowBlur = 10;
+                ctx.lineWidth = 2;
+
+                ctx.beginPath();
+                batch.forEach(w => ctx.roundRect(Math.round(w.x), Math.round(w.y), Math.round(w.w), Math.round(w.h), 5));
+                ctx.fill();
+                ctx.stroke();
+            }
+        });
+    }
+
+    /**
+     * Gems are diamonds, power-ups are rings; all of them bob gently.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Pickup[]} pickups
+     * @param {number} tick - For the bobbing animation
+     * @param {boolean} isBackground
+     */
+    drawPickups(ctx, pickups, tick, isBackground) {
+        pickups.forEach(pickup => {
+            const color = Config.Colors.PICKUPS[pickup.type];
+            const r = pickup.radius;
+            const x = pickup.x;
+            const y = pickup.y + Math.sin(tick * 0.08 + pickup.x) * r * 0.3;
+
+            ctx.save();
+            if (!isBackground) {
+                ctx.shadowBlur = 12;
+                ctx.shadowColor = color;
+            }
+            ctx.fillStyle = color;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = r * 0.35;
+            ctx.beginPath();
+            if (pickup.type === 'gem') {
+                ctx.moveTo(x, y - r);
+                ctx.lineTo(x + r * 0.7, y);
+                ctx.lineTo(x, y + r);
+                ctx.lineTo(x - r * 0.7, y);
+                ctx.closePath();
+                ctx.fill();
+            } else {
+                ctx.arc(x, y, r * 0.8, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.arc(x, y, r * 0.3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.restore();
+        });
+    }
+
+    drawPlayer(ctx, p, isBackground) {
+        if (!isBackground) {
+            ctx.shadowBlur = 20;
+            ctx.shadowColor = p.color;
+        }
+        ctx.fillStyle = p.color;
+        ctx.beginPath();
+        ctx.arc(Math.round(p.x), Math.round(p.y), p.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
+
+    /**
+     * Translucent best-run slime plus an edge marker at its height,
+     * clamped to the view so it stays visible when the ghost is off-screen.
+     */
+    drawGhost(ctx, pos, radius, cameraY, game) {
+        ctx.save();
+        ctx.globalAlpha = Config.Ghost.ALPHA;
+        ctx.fillStyle = Config.Colors.GHOST;
+        ctx.beginPath();
+        ctx.arc(Math.round(pos.x), Math.round(pos.y), radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        const markerSize = game.sim.worldWidth * 0.02;
+        const markerY = Math.max(cameraY + markerSize, Math.min(pos.y, cameraY + game.sim.worldHeight - markerSize));
+        ctx.globalAlpha = 0.8;
+        ctx.beginPath();
+        ctx.moveTo(game.sim.worldWidth, markerY - markerSize);
+        ctx.lineTo(game.sim.worldWidth - markerSize * 1.5, markerY);
+        ctx.lineTo(game.sim.worldWidth, markerY + markerSize);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    drawGlue(ctx, p) {
+        const startX = p.stickPoint.x;
+        const startY = p.stickPoint.y;
+
+        ctx.save();
+        ctx.beginPath();
+
+        // Draw a blobby connection
+        // Move to wall anchor
+        ctx.moveTo(startX - 10, startY);
+
+        // Curve down to player left side
+        ctx.quadraticCurveTo(startX, p.y - p.radius, p.x - p.radius * 0.5, p.y - p.radius * 0.8);
+
+        // Across player top (implied by ball body, but let's connect)
+        ctx.lineTo(p.x + p.radius * 0.5, p.y - p.radius * 0.8);
+
+        // Curve up to wall anchor right
+        ctx.quadraticCurveTo(startX, p.y - p.radius, startX + 10, startY);
+
+        ctx.closePath();
+
+        ctx.fillStyle = p.color;
+        ctx.globalAlpha = 0.8;
+        ctx.fill();
+
+        // Glue Strands (Details)
+        const dist = Math.abs(p.y - startY);
+        if (dist > 10) {
+            ctx.beginPath();
+            ctx.moveTo(startX, startY);
+            ctx.lineTo(p.x, p.y - p.radius);
+            ctx.strokeStyle = '#ccffdd';
+            ctx.lineWidth = Math.max(0.5, 4 - dist * 0.05); // Thinner as it stretches
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} p - Player render state
+     * @param {{angle: number, magnitude: number, mode: string}} aim - From Game.getAim
+     * @param {number} worldWidth
+     */
+    drawAim(ctx, p, aim, worldWidth) {
+        const jumpAngle = aim.angle + Math.PI;
+        const maxLineLen = worldWidth * Config.Ratios.INDICATOR_LENGTH;
+        const lineLen = (aim.magnitude / 100) * maxLineLen;
+        const dirX = Math.cos(jumpAngle);
+        const dirY = Math.sin(jumpAngle);
+
+        ctx.lineWidth = Math.max(1, worldWidth * 0.003);
+
+        // Charge mode: faint full-length guide for the direction, solid line growing with the charge
+        if (aim.mode === 'charge') {
+            ctx.beginPath();
+            ctx.moveTo(Math.round(p.x), Math.round(p.y));
+            ctx.lineTo(Math.round(p.x + dirX * maxLineLen), Math.round(p.y + dirY * maxLineLen));
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.setLineDash([worldWidth * 0.01, worldWidth * 0.01]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            if (lineLen > 0) {
+                ctx.beginPath();
+                ctx.moveTo(Math.round(p.x), Math.round(p.y));
+                ctx.lineTo(Math.round(p.x + dirX * lineLen), Math.round(p.y + dirY * lineLen));
+                ctx.strokeStyle = p.color;
+                ctx.lineWidth *= 2;
+                ctx.stroke();
+            }
+            return;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(Math.round(p.x), Math.round(p.y));
+        ctx.lineTo(Math.round(p.x + dirX * lineLen), Math.round(p.y + dirY * lineLen));
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.setLineDash([worldWidth * 0.01, worldWidth * 0.01]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Dotted arc of the predicted jump, fading out along the horizon, with a ring where it sticks.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} p - Player render state
+     * @param {object} trajectory - From Game.predictTrajectory
+     */
+    drawTrajectory(ctx, p, trajectory) {
+        const { points, stick } = trajectory;
+        const dotRadius = Math.max(1, p.radius * 0.15);
+
+        ctx.save();
+        ctx.fillStyle = p.color;
+        for (let i = Config.Preview.DOT_SPACING - 1; i < points.length; i += Config.Preview.DOT_SPACING) {
+            ctx.globalAlpha = 0.6 * (1 - i / points.length) + 0.1;
+            ctx.beginPath();
+            ctx.arc(points[i].x, points[i].y, dotRadius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        if (stick) {
+            ctx.globalAlpha = 0.8;
+            ctx.strokeStyle = trajectory.hazard ? Config.Colors.WALL_SPIKE.stroke : p.color;
+            ctx.lineWidth = dotRadius;
+            ctx.beginPath();
+            ctx.arc(stick.x, stick.y, p.radius, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    drawTide(ctx, tide, width, isBackground) {
+        const tideY = tide.y;
+
+        ctx.fillStyle = tide.color;
+        ctx.beginPath();
+        ctx.moveTo(0, tideY + 1000);
+        ctx.lineTo(0, tideY);
+
+        const waveRes = width * 0.02;
+        const waveAmp = width * Config.Ratios.TIDE_WAVE_AMP;
+        const spikeHeight = width * Config.Ratios.TIDE_GLITCH_SPIKE;
+        // Glitches are keyed to the wave phase so both canvases draw the same spikes
+        const glitch = new Random(Math.floor(tide.waveOffset * 10));
+
+        for (let x = 0; x <= width; x += waveRes) {
+            let yOffset = Math.sin(x * 0.05 + tide.waveOffset) * waveAmp;
+            if (glitch.next() > 0.98) yOffset -= glitch.next() * spikeHeight;
+            ctx.lineTo(x, tideY + yOffset);
+        }
+
+        ctx.lineTo(width, tideY + 1000);
+        ctx.closePath();
+
+        const tideGrad = ctx.createLinearGradient(0, tideY, 0, tideY + 500);
+        tideGrad.addColorStop(0, 'rgba(255, 0, 85, 0.6)');
+        tideGrad.addColorStop(0.2, 'rgba(50, 0, 20, 0.9)');
+        tideGrad.addColorStop(1, 'rgba(0, 0, 0, 1)');
+        ctx.fillStyle = tideGrad;
+        ctx.fill();
+
+        // Top Edge Glow
+        if (!isBackground) {
+            ctx.shadowBlur = Math.min(width * 0.02, 50);
+            ctx.shadowColor = Config.Colors.TIDE_SHADOW;
+            ctx.strokeStyle = Config.Colors.TIDE_STROKE;
+            ctx.lineWidth = width * Config.Ratios.TIDE_LINE_WIDTH;
+            ctx.stroke();
+            ctx.shadowBlur = 0; // Reset
+        } else {
+            // Fake Glow Background
+            ctx.save();
+            ctx.strokeStyle = Config.Colors.TIDE_SHADOW;
+            ctx.lineWidth = width * Config.Ratios.TIDE_LINE_WIDTH * 6;
+            ctx.globalAlpha = 0.4;
+            ctx.stroke();
+            ctx.restore();
+
+            ctx.strokeStyle = Config.Colors.TIDE_STROKE;
+            ctx.lineWidth = width * Config.Ratios.TIDE_LINE_WIDTH;
+            ctx.stroke();
+        }
+    }
+
+    updateDangerUI(game) {
+        const intensity = game.sim.getDanger();
+
+        if (intensity > 0) {
+            const r = 255;
+            const g = Math.floor(255 * (1 - intensity));
+            const b = Math.floor(255 * (1 - intensity));
+            const a = 0.3 + (intensity * 0.5);
+
+            this.canvas.style.borderColor = `rgba(${r}, ${g}, ${b}, ${a})`;
+            this.canvas.style.boxShadow = `0 0 ${5 + intensity * 5}vmin rgba(${r}, 0, 0, ${0.9 * intensity})`;
+        } else {
+            this.canvas.style.borderColor = 'rgba(255, 255, 255, 0.3)';
+            this.canvas.style.boxShadow = '0 0 5vmin rgba(0, 0, 0, 0.9)';
+        }
+    }
+}
+
+/**
+ * Procedural sound effects, synthesized with Web Audio (no asset files).
+ * One-shots (jump, splat, boing) are short oscillator/noise bursts; the glue
+ * stretch and the tide drone are looping voices whose level follows the game.
+ * Browsers only allow audio after a user gesture, so the context is created on
+ * the first click or key press on the host page. Without Web Audio every call is a no-op.
+ */
+class SoundEngine {
+    constructor() {
+        this.ctx = null;
+        this.master = null;
+        this.noiseBuffer = null;
+        this.drone = null; // { oscs, filter, gain }
+        this.glue = null;  // { osc, lfo, gain }
+
+        const saved = this.load();
+        this.volume = saved.volume;
+        this.muted = saved.muted;
+    }
+
+    /**
+     * Starts (or resumes) audio on the first user gesture.
+     */
+    bindUnlock() {
+        const unlock = () => this.unlock();
+        window.addEventListener('pointerdown', unlock);
+        window.addEventListener('keydown', unlock);
+    }
+
+    unlock() {
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtx) return;
+
+        if (!this.ctx) {
+            this.ctx = new AudioCtx();
+            this.master = this.ctx.createGain();
+            this.master.connect(this.ctx.destination);
+            this.noiseBuffer = this.createNoise(1);
+            this.drone = this.createDrone();
+            this.glue = this.createGlue();
+            this.applyVolume();
+        }
+        if (this.ctx.state === 'suspended') this.ctx.resume();
+    }
+
+    /**
+     * @returns {boolean} True once sounds can actually be heard
+     */
+    get ready() {
+        return !!this.ctx && this.ctx.state === 'running' && !this.muted && this.volume > 0;
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(Config.Audio.STORAGE_KEY));
+            if (saved && Protocol.isAudioSettings(saved)) return saved;
+        } catch (e) {
+            console.warn('Could not load audio settings:', e);
+        }
+        return { volume: Config.Audio.VOLUME, muted: false };
+    }
+
+    save() {
+        try {
+            localStorage.setItem(Config.Audio.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('Could not save audio settings:', e);
+        }
+    }
+
+    /**
+     * @returns {{volume: number, muted: boolean}}
+     */
+    get settings() {
+        return { volume: this.volume, muted: this.muted };
+    }
+
+    /**
+     * @param {number} volume - Master volume, 0..1
+     * @param {boolean} muted
+     */
+    set(volume, muted) {
+        this.volume = volume;
+        this.muted = muted;
+        this.applyVolume();
+        this.save();
+    }
+
+    applyVolume() {
+        if (!this.ctx) return;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.ctx.currentTime, 0.05);
+    }
+
+    /**
+     * @param {number} seconds
+     * @returns {AudioBuffer} White noise, shared by every noise burst
+     */
+    createNoise(seconds) {
+        const buffer = this.ctx.createBuffer(1, Math.floor(this.ctx.sampleRate * seconds), this.ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        return buffer;
+    }
+
+    /**
+     * Low detuned sawtooth pair behind a lowpass; silent until the tide gets close.
+     */
+    createDrone() {
+        const gain = this.ctx.createGain();
+        gain.gain.value = 0;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 200;
+        filter.connect(gain);
+        gain.connect(this.master);
+
+        const oscs = [-7, 7].map(detune => {
+            const osc = this.ctx.createOscillator();
+            osc.type = 'sawtooth';
+            osc.frequency.value = Config.Audio.DRONE_BASE;
+            osc.detune.value = detune;
+            osc.connect(filter);
+            osc.start();
+            return osc;
+        });
+        return { oscs, filter, gain };
+    }
+
+    /**
+     * Wobbling triangle tone for a stretching glue strand; silent while nobody hangs.
+     */
+    createGlue() {
+        const gain = this.ctx.createGain();
+        gain.gain.value = 0;
+        gain.connect(this.master);
+
+        const osc = this.ctx.createOscillator();
+        osc.type = 'triangle';
+        osc.frequency.value = 180;
+        osc.connect(gain);
+
+        const lfo = this.ctx.createOscillator();
+        const depth = this.ctx.createGain();
+        lfo.frequency.value = 6;
+        depth.gain.value = 25;
+        lfo.connect(depth);
+        depth.connect(osc.frequency);
+
+        osc.start();
+        lfo.start();
+        return { osc, lfo, gain };
+    }
+
+    /**
+     * Plays a burst of filtered noise with a sweeping cutoff.
+     * @param {number} duration - Seconds
+     * @param {BiquadFilterType} type
+     * @param {number} from - Cutoff at the start (Hz)
+     * @param {number} to - Cutoff at the end (Hz)
+     * @param {number} level - Peak gain
+     */
+    noise(duration, type, from, to, level) {
+        const t = this.ctx.currentTime;
+        const src = this.ctx.createBufferSource();
+        src.buffer = this.noiseBuffer;
+
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = type;
+        filter.Q.value = 1.5;
+        filter.frequency.setValueAtTime(from, t);
+        filter.frequency.exponentialRampToValueAtTime(to, t + duration);
+
+        const gain = this.envelope(t, duration, level);
+        src.connect(filter);
+        filter.connect(gain);
+        src.start(t);
+        src.stop(t + duration);
+    }
+
+    /**
+     * Plays an oscillator gliding between two pitches.
+     * @param {number} duration - Seconds
+     * @param {OscillatorType} type
+     * @param {number} from - Start frequency (Hz)
+     * @param {number} to - End frequency (Hz)
+     * @param {number} level - Peak gain
+     * @param {number} [vibrato=0] - Wobble depth in Hz
+     */
+    tone(duration, type, from, to, level, vibrato = 0) {
+        const t = this.ctx.currentTime;
+        const osc = this.ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.setValueAtTime(from, t);
+        osc.frequency.exponentialRampToValueAtTime(to, t + duration);
+
+        if (vibrato > 0) {
+            const lfo = this.ctx.createOscillator();
+            const depth = this.ctx.createGain();
+            lfo.frequency.value = 18;
+            depth.gain.value = vibrato;
+            lfo.connect(depth);
+            depth.connect(osc.frequency);
+            lfo.start(t);
+            lfo.stop(t + duration);
+        }
+
+        osc.connect(this.envelope(t, duration, level));
+        osc.start(t);
+        osc.stop(t + duration);
+    }
+
+    /**
+     * @returns {GainNode} Fast attack, exponential decay, wired to the master bus
+     */
+    envelope(t, duration, level) {
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(0.0001, t);
+        gain.gain.exponentialRampToValueAtTime(Math.max(0.0001, level), t + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+        gain.connect(this.master);
+        return gain;
+    }
+
+    /**
+     * @param {number} power - Jump force, 0..1
+     */
+    jump(power) {
+        if (!this.ready) return;
+        this.noise(0.15 + power * 0.2, 'bandpass', 300 + power * 300, 1500 + power * 2500, 0.2 + power * 0.4);
+    }
+
+    /**
+     * @param {number} power - Impact speed, 0..1
+     */
+    splat(power) {
+        if (!this.ready) return;
+        this.noise(0.12 + power * 0.1, 'lowpass', 1200 + power * 1500, 150, 0.3 + power * 0.5);
+        this.tone(0.1, 'sine', 160, 50, 0.2 + power * 0.3);
+    }
+
+    /**
+     * @param {number} power - Impact speed, 0..1
+     */
+    boing(power) {
+        if (!this.ready) return;
+        this.tone(0.35, 'sine', 180 + power * 120, 520 + power * 300, 0.35, 30);
+    }
+
+    /**
+     * Follows the strand of the furthest-stretched sticky slime.
+     * @param {number} stretch - 0 (nobody hanging) .. 1 (fully stretched)
+     */
+    setGlue(stretch) {
+        if (!this.ctx) return;
+        const t = this.ctx.currentTime;
+        this.glue.gain.gain.setTargetAtTime(stretch > 0 ? 0.05 + stretch * 0.15 : 0, t, 0.05);
+        this.glue.osc.frequency.setTargetAtTime(220 - stretch * 120, t, 0.1);
+        this.glue.lfo.frequency.setTargetAtTime(6 - stretch * 4, t, 0.1);
+    }
+
+    /**
+     * @param {number} danger - Tide proximity, 0 (safe) .. 1 (at the screen bottom), see Game.getDanger
+     */
+    setDanger(danger) {
+        if (!this.ctx) return;
+        const t = this.ctx.currentTime;
+        const freq = Config.Audio.DRONE_BASE * Math.pow(2, danger * Config.Audio.DRONE_RISE);
+        this.drone.gain.gain.setTargetAtTime(danger * 0.25, t, 0.2);
+        this.drone.filter.frequency.setTargetAtTime(200 + danger * 1800, t, 0.2);
+        this.drone.oscs.forEach(osc => osc.frequency.setTargetAtTime(freq, t, 0.2));
+    }
+}
+
+/**
+ * Diagnostics overlay: per-frame timings and load counters, a rolling graph of
+ * recent frames, and a JSON trace of the last minute for offline analysis.
+ */
+class PerfMonitor {
+    /**
+     * @param {HTMLElement} panel - Overlay shown while monitoring
+     * @param {HTMLElement} textEl - Current readings
+     * @param {HTMLCanvasElement} graph - Rolling history graph
+     */
+    constructor(panel, textEl, graph) {
+        this.panel = panel;
+        this.textEl = textEl;
+        this.graph = graph;
+        this.graphCtx = graph.getContext('2d');
+        this.visible = false;
+        this.samples = [];   // Recorded frames, oldest first
+        this.lastRefresh = 0;
+        this.startedAt = null;
+    }
+
+    /**
+     * Shows or hides the overlay. Frames are only recorded while it is visible, so
+     * every showing starts a fresh trace.
+     * @param {boolean} [visible]
+     */
+    toggle(visible = !this.visible) {
+        this.visible = visible;
+        this.panel.classList.toggle('hidden', !visible);
+        if (visible) {
+            this.samples = [];
+            this.lastRefresh = 0;
+            this.startedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * @param {object} sample - One frame: loop timestamp `t` and frame interval in ms;
+     *     update, draw, preview, main and background pass times in ms; simulation ticks; wall
+     *     count; simulation and preview collision checks; controller RTTs by name;
+     *     tilt messages per second
+     */
+    record(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > Config.Stats.TRACE_LENGTH) this.samples.shift();
+
+        if (sample.t - this.lastRefresh < Config.Stats.REFRESH) return;
+        this.lastRefresh = sample.t;
+        this.renderText();
+        this.renderGraph();
+    }
+
+    renderText() {
+        const recent = this.samples.slice(-Config.Stats.HISTORY);
+        const avg = (key) => recent.reduce((sum, s) => sum + s[key], 0) / recent.length;
+        const worst = Math.max(...recent.map(s => s.frame));
+        const last = this.samples[this.samples.length - 1];
+        const ms = (v) => v.toFixed(1) + 'ms';
+
+        const rtts = Object.entries(last.rtt).map(([name, rtt]) => `${name} ${rtt === null ? '–' : Math.round(rtt) + 'ms'}`);
+        this.textEl.textContent = [
+            `FPS ${Math.round(1000 / avg('frame'))} · frame ${ms(avg('frame'))} (worst ${ms(worst)})`,
+            `update ${ms(avg('update'))} · ${avg('ticks').toFixed(1)} ticks`,
+            `draw ${ms(avg('draw'))} · preview ${ms(avg('preview'))} · main ${ms(avg('main'))} · bg ${ms(avg('background'))}`,
+            `walls ${last.walls} · collisions ${Math.round(avg('collisions'))} + ${Math.round(avg('previewCollisions'))} preview`,
+            `RTT ${rtts.length > 0 ? rtts.join(' · ') : 'no controllers'}`,
+            `tilt ${last.tilt.toFixed(1)}/s`
+        ].join('\n');
+    }
+
+    /**
+     * Stacked bars per frame (update, jump previews, main pass, background pass,
+     * rest of the frame) against lines at 60 and 30 fps.
+     */
+    renderGraph() {
+        const ctx = this.graphCtx;
+        const { width, height } = this.graph;
+        const recent = this.samples.slice(-Config.Stats.HISTORY);
+        const barW = width / Config.Stats.HISTORY;
+        const y = (ms) => height - Math.min(ms, Config.Stats.GRAPH_MAX) / Config.Stats.GRAPH_MAX * height;
+
+        ctx.clearRect(0, 0, width, height);
+        recent.forEach((s, i) => {
+            const x = width - (recent.length - i) * barW;
+            let base = 0;
+            [
+                [s.update, '#00ffaa'], [s.preview, '#ffcc00'], [s.main, '#00c3ff'], [s.background, '#aa66ff'],
+                [s.frame - s.update - s.draw, 'rgba(255, 255, 255, 0.25)']
+            ]
+                .forEach(([ms, color]) => {
+                    if (ms <= 0) return;
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x, y(base + ms), barW, y(base) - y(base + ms));
+                    base += ms;
+                });
+        });
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.beginPath();
+        [1000 / 60, 1000 / 30].forEach(ms => {
+            ctx.moveTo(0, y(ms));
+            ctx.lineTo(width, y(ms));
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * @param {object} meta - Session details saved alongside the frames
+     * @returns {object} Trace JSON
+     */
+    toTrace(meta) {
+        return {
+            format: PerfMonitor.FORMAT,
+            version: PerfMonitor.VERSION,
+            startedAt: this.startedAt,
+            exportedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            ...meta,
+            samples: this.samples
+        };
+    }
+}
+
+PerfMonitor.FORMAT = 'sticky-slime-perf';
+PerfMonitor.VERSION = 1;
+
+// ==========================================
+// 5. MAIN GAME LOGIC
+// ==========================================
+
+/**
+ * The game world without DOM, network or storage: players, walls, pickups, tide
+ * and camera, advanced one fixed tick at a time. `Game` wraps it with the browser
+ * UI, and in Node it can be driven directly:
+ *
+ *     const sim = new GameSimulation(800, 985);
+ *     const player = sim.addPlayer('bot');
+ *     sim.reset('demo');
+ *     sim.on('tick', () => {
+ *         if (player.canJump) sim.jump(player, Math.PI / 3, 80); // Hop up and left whenever it has a grip
+ *     });
+ *     while (!sim.over) sim.step();
+ *     console.log(sim.score); // 568
+ *
+ * Events: 'tick' (tick; fired before anything moves, so inputs applied here land on
+ * that tick), 'contact' (player, speed), 'collect' (player, pickup),
+ * 'score' (player), 'eliminated' (player) and 'over'.
+ */
+class GameSimulation extends EventEmitter {
+    /**
+     * @param {number} [width=0] - World width; 0 leaves sizing to a later resize()
+     * @param {number} [height=0] - World height
+     */
+    constructor(width = 0, height = 0) {
+        super();
+        this.players = [];    // One per seat, ordered by slot
+        this.runPlayers = []; // Players taking part in the current run
+        this.eliminated = []; // { player, score } in elimination order
+        this.tide = new Tide(0);
+        this.camera = new Camera();
+        this.walls = [];
+        this.pickups = [];
+        this.levelGen = new LevelGenerator();
+        this.difficulty = new Difficulty();
+        this.seed = null;
+        this.tick = 0;              // Ticks elapsed in the current run
+        this.score = 0;             // Best score of any player this run
+        this.tideFrozenTicks = 0;   // Remaining tide freeze
+        this.scoreDivisor = 10;
+        this.over = false;          // True once every player is out
+        this.collisionChecks = 0;   // Wall collision tests since the owner last reset it (diagnostics)
+
+        this.worldWidth = 0;
+        this.worldHeight = 0;
+        if (width > 0) this.resize(width, height);
+    }
+
+    /**
+     * Sets the world size and the size-dependent constants.
+     * @param {number} width
+     * @param {number} height
+     * @param {boolean} [rescale=false] - Scale the run in progress to the new size
+     */
+    resize(width, height, rescale = false) {
+        const oldWidth = this.worldWidth;
+        this.worldWidth = width;
+        this.worldHeight = height;
+
+        if (rescale && oldWidth > 0) {
+            const ratio = width / oldWidth;
+            this.players.forEach(p => p.resize(ratio));
+            this.tide.y *= ratio;
+            this.camera.y *= ratio;
+            this.levelGen.resize(ratio);
+            this.scoreDivisor *= ratio;
+            this.walls.forEach(w => w.resize(ratio));
+            this.pickups.forEach(p => p.resize(ratio));
+            this.savePrevious();
+        }
+
+        this.players.forEach(p => p.radius = width * Config.Ratios.PLAYER_RADIUS);
+        this.gravity = width * Config.Ratios.GRAVITY;
+        this.maxJumpForce = width * Config.Ratios.MAX_JUMP_FORCE;
+        this.jumpForceMult = width * Config.Ratios.JUMP_FORCE_MULT;
+        this.tide.speed = width * Config.Ratios.TIDE_SPEED;
+    }
+
+    /**
+     * Seats a player in the lowest free slot. They race from the next reset().
+     * @param {string} id - Controller client ID (or InputManager.LOCAL_ID)
+     * @returns {Player|null} null if every seat is taken
+     */
+    addPlayer(id) {
+        if (this.players.length >= Config.Multiplayer.MAX_PLAYERS) return null;
+
+        let slot = 0;
+        while (this.players.some(p => p.slot === slot)) slot++;
+
+        const player = new Player(0, 0, this.worldWidth * Config.Ratios.PLAYER_RADIUS, Config.Colors.PLAYERS[slot]);
+        player.id = id;
+        player.slot = slot;
+        this.players.push(player);
+        this.players.sort((a, b) => a.slot - b.slot);
+        return player;
+    }
+
+    /**
+     * @param {Player} player
+     */
+    removePlayer(player) {
+        this.players = this.players.filter(p => p !== player);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Player|undefined}
+     */
+    getPlayer(id) {
+        return this.players.find(p => p.id === id);
+    }
+
+    /**
+     * Starts a new run with every seated player.
+     * @param {string} seed - Level seed
+     * @param {Difficulty} [difficulty] - Defaults to the previous run's
+     */
+    reset(seed, difficulty = this.difficulty) {
+        this.seed = seed;
+        this.difficulty = difficulty;
+
+        // Spread players evenly (a single player starts centered)
+        this.players.forEach((player, i) => {
+            player.x = this.worldWidth * (i + 1) / (this.players.length + 1);
+            player.y = this.worldHeight - 150;
+            player.vx = 0;
+            player.vy = 0;
+            player.state = 'air';
+            player.alive = true;
+            player.score = 0;
+            player.wall = null;
+            player.charging = false;
+            player.charge = 0;
+            player.queuedCharge = 0;
+            player.height = 0;
+            player.bonus = 0;
+            player.airJumps = 0;
+            player.glueTicks = 0;
+        });
+        this.runPlayers = [...this.players];
+        this.eliminated = [];
+        this.score = 0;
+        this.over = false;
+
+        this.tide.y = this.worldHeight * (1 + Config.Ratios.TIDE_START_OFFSET);
+        this.camera.y = 0;
+
+        // Gen Floor & Walls
+        const floorHeight = this.worldWidth * 0.15;
+        const floorY = this.worldHeight - this.worldWidth * 0.1;
+
+        this.walls = [new Wall(0, floorY, this.worldWidth, floorHeight, 'normal')];
+        this.levelGen.reset(floorY, seed, difficulty);
+
+        for (let i = 0; i < 15; i++) {
+            this.walls.push(this.levelGen.generateNext(this.worldWidth));
+        }
+        this.pickups = this.levelGen.takePickups();
+        this.tideFrozenTicks = 0;
+
+        this.tick = 0;
+        this.savePrevious(); // Don't interpolate from the last run's positions
+    }
+
+    savePrevious() {
+        this.players.forEach(p => p.savePrevious());
+        this.walls.forEach(w => w.savePrevious());
+        this.tide.savePrevious();
+        this.camera.savePrevious();
+    }
+
+    /**
+     * Advances the run by one tick.
+     * @param {number} [timeScale=1] - Tick length relative to a 60 Hz frame
+     */
+    step(timeScale = 1) {
+        if (this.over) return;
+
+        // Nobody left in the race (no seats taken, or every player removed): the run is over
+        if (!this.leader) {
+            this.over = true;
+            this.emit('over');
+            return;
+        }
+        this.tick++;
+
+        // Input is applied on tick boundaries so recordings replay exactly
+        this.emit('tick', this.tick);
+
+        // Update Tide (catch-up follows the leader, so stragglers get swallowed; base speed ramps with height)
+        if (this.tideFrozenTicks > 0) {
+            this.tideFrozenTicks = Math.max(0, this.tideFrozenTicks - timeScale);
+        } else {
+            this.tide.speedScale = this.difficulty.at((this.levelGen.startY - this.leader.y) / this.worldWidth).tideSpeed;
+            this.tide.update(timeScale, this.leader.y, this.worldWidth, this.worldHeight);
+        }
+
+        // Check Tide Death
+        this.players.forEach(p => {
+            if (p.alive && p.y + p.radius > this.tide.y + this.worldWidth * Config.Ratios.TIDE_COLLISION_THRESHOLD) {
+                this.eliminate(p);
+            }
+        });
+        if (this.over) return;
+
+        // Walls (crumbled ones drop whoever was on them, moving ones carry them along)
+        this.walls.forEach(w => w.update(timeScale));
+        this.players.forEach(p => {
+            if (p.wall && p.wall.broken) p.detach();
+            else if (p.alive) p.followWall();
+        });
+        this.walls = this.walls.filter(w => !w.broken);
+
+        // Physics
+        this.players.forEach(p => {
+            if (!p.alive) return;
+            p.updateCharge(timeScale);
+            p.updatePowerUps(timeScale);
+            this.updatePhysics(p, timeScale, (speed) => this.emit('contact', p, speed));
+
+            if (p.state === 'dead') this.eliminate(p); // Spikes
+            else if (p.attached && p.wall && p.wall.type === 'crumbling') p.wall.startCrumble();
+        });
+        if (this.over) return;
+
+        // Camera
+        const targetCamY = this.leader.y - this.worldHeight * 0.6;
+        const maxCamY = this.tide.y - this.worldHeight + this.worldHeight * Config.Ratios.CAMERA_LIMIT_PADDING;
+        this.camera.update(targetCamY, timeScale, maxCamY);
+
+        // Pickups
+        this.players.forEach(p => {
+            if (!p.alive) return;
+            this.pickups.forEach(pickup => {
+                if (!pickup.collected && pickup.hits(p)) this.collect(p, pickup);
+            });
+        });
+        this.pickups = this.pickups.filter(pickup => !pickup.collected);
+
+        // Score (best height plus gem bonus)
+        this.players.forEach(p => {
+            if (!p.alive) return;
+            p.height = Math.max(p.height, Math.floor(-p.y / this.scoreDivisor));
+            const score = p.height + p.bonus;
+            if (score > p.score) {
+                p.score = score;
+                this.score = Math.max(this.score, score);
+                this.emit('score', p);
+            }
+        });
+
+        // Level Gen
+        if (this.camera.y < this.levelGen.highestY + this.worldHeight * Config.Ratios.GEN_TRIGGER_DIST) {
+            this.walls.push(this.levelGen.generateNext(this.worldWidth));
+            this.pickups.push(...this.levelGen.takePickups());
+        }
+        // Cleanup walls and pickups below camera
+        const cleanupY = this.camera.y + this.worldHeight + this.worldHeight * Config.Ratios.CLEANUP_DIST;
+        this.walls = this.walls.filter(w => w.y < cleanupY);
+        this.pickups = this.pickups.filter(p => p.y < cleanupY);
+    }
+
+    /**
+     * @param {Player} player
+     * @param {number} angle - Tilt angle (the jump goes the opposite way)
+     * @param {number} magnitude - Power, 0..100
+     * @returns {boolean} True if the player was able to jump
+     */
+    jump(player, angle, magnitude) {
+        return player.jump(angle, magnitude, this.maxJumpForce, this.jumpForceMult);
+    }
+
+    /**
+     * Simulates a jump with the real physics against the current walls, without touching the player.
+     * @param {Player} player
+     * @param {number} angle - Tilt angle
+     * @param {number} magnitude - Power, 0..100
+     * @param {number} ticks - Horizon
+     * @returns {{points: {x: number, y: number}[], stick: {x: number, y: number}|null, hazard: boolean}|null}
+     *     Position after each tick, where the slime first lands within the horizon and
+     *     whether that landing is deadly, or null if the player can't jump
+     */
+    predict(player, angle, magnitude, ticks) {
+        const probe = new Player(player.x, player.y, player.radius);
+        probe.state = player.state;
+        probe.airJumps = player.airJumps;
+        probe.glueTicks = player.glueTicks;
+        if (!this.jump(probe, angle, magnitude)) return null;
+
+        const timeScale = (1000 / Config.Simulation.TICK_RATE) / (1000 / 60);
+        const points = [];
+        for (let i = 0; i < ticks; i++) {
+            this.updatePhysics(probe, timeScale);
+            points.push({ x: probe.x, y: probe.y });
+            if (probe.state !== 'air') return { points, stick: { x: probe.x, y: probe.y }, hazard: probe.state === 'dead' };
+        }
+        return { points, stick: null, hazard: false };
+    }
+
+    /**
+     * @param {Player} player
+     * @param {number} timeScale
+     * @param {function(number)} [onContact] - Called with the impact speed when a wall
+     *     changes what the slime is doing (lands, bounces, starts sliding)
+     */
+    updatePhysics(player, timeScale, onContact = null) {
+        if (player.state !== 'air' && player.state !== 'sticky' && player.state !== 'sliding') return;
+
+        const startState = player.state;
+        const subStepDt = (1 / Config.Visual.SUBSTEPS) * timeScale;
+
+        // Apply forces
+        player.updatePhysics(timeScale, this.gravity, Config.Visual.FRICTION);
+
+        // A sliding slime falls off unless it touches the ice again this tick
+        if (player.state === 'sliding') player.state = 'air';
+
+        // Substeps for collision accuracy
+        for (let i = 0; i < Config.Visual.SUBSTEPS; i++) {
+            player.x += player.vx * subStepDt;
+            player.y += player.vy * subStepDt;
+
+            // Wall Collisions
+            let collided = false;
+            for (let w of this.walls) {
+                this.collisionChecks++;
+                const col = w.checkCollision(player);
+                if (col) {
+                    const speed = Math.hypot(player.vx, player.vy);
+                    const stuck = w.resolve(player, col);
+                    const bounced = !stuck && player.state === 'air';
+                    if (onContact && (bounced || player.state !== startState)) onContact(speed);
+                    if (stuck) {
+                        collided = true; // Stuck
+                        break;
+                    }
+                }
+            }
+            if (collided) break;
+
+            player.checkBounds(this.worldWidth);
+        }
+
+    }
+
+    /**
+     * Applies a pickup to the player who touched it.
+     * @param {Player} player
+     * @param {Pickup} pickup
+     */
+    collect(player, pickup) {
+        pickup.collected = true;
+
+        if (pickup.type === 'gem') {
+            player.bonus += Config.Pickups.GEM_BONUS;
+        } else if (pickup.type === 'freeze') {
+            this.tideFrozenTicks = Config.Pickups.FREEZE_TIME * 60;
+        } else if (pickup.type === 'air_jump') {
+            player.airJumps = Math.min(Config.Pickups.MAX_AIR_JUMPS, player.airJumps + 1);
+        } else if (pickup.type === 'glue') {
+            player.glueTicks = Config.Pickups.GLUE_TIME * 60;
+        }
+
+        this.emit('collect', player, pickup);
+    }
+
+    /**
+     * Knocks a player out of the run; the run is over when nobody is left.
+     * @param {Player} player
+     */
+    eliminate(player) {
+        player.alive = false;
+        this.eliminated.push({ player, score: player.score });
+        this.emit('eliminated', player);
+
+        if (!this.over && !this.players.some(p => p.alive)) {
+            this.over = true;
+            this.emit('over');
+        }
+    }
+
+    /**
+     * The highest player still in the race; the camera and tide follow them.
+     * @returns {Player|null}
+     */
+    get leader() {
+        let best = null;
+        this.players.forEach(p => {
+            if (p.alive && (!best || p.y < best.y)) best = p;
+        });
+        return best;
+    }
+
+    /**
+     * @returns {boolean} True if exactly one player takes part in the current run
+     */
+    isSolo() {
+        return this.runPlayers.length === 1;
+    }
+
+    /**
+     * How close the tide is to the bottom of the screen. Drives the red screen
+     * border and the rising drone.
+     * @returns {number} 0 (outside the danger zone) .. 1 (tide in view)
+     */
+    getDanger() {
+        const screenBottomY = this.camera.y + this.worldHeight;
+        const proximity = this.tide.y - screenBottomY;
+        const dangerZone = this.worldHeight * 0.3; // Responsive danger zone
+        if (proximity >= dangerZone) return 0;
+
+        const intensity = 1 - ((proximity + this.worldHeight * 0.2) / (dangerZone + this.worldHeight * 0.2));
+        return Math.max(0, Math.min(1, intensity));
+    }
+
+    /**
+     * What a spectator needs to draw the current tick: the players and whatever is
+     * near the camera. Lengths are in world widths so any screen size can use it;
+     * client IDs are left out.
+     * @returns {object} Payload of a `snapshot` message, without the host-only fields
+     */
+    snapshot() {
+        const u = (v) => +(v / this.worldWidth).toFixed(4);
+        const top = this.camera.y - this.worldHeight * 0.5;
+        const bottom = this.camera.y + this.worldHeight * 1.5;
+
+        return {
+            tick: this.tick,
+            score: this.score,
+            camera: u(this.camera.y),
+            tide: { y: u(this.tide.y), wave: +this.tide.waveOffset.toFixed(3), frozen: this.tideFrozenTicks },
+            players: this.players.map(p => ({
+                slot: p.slot, x: u(p.x), y: u(p.y), state: p.state, alive: p.alive, score: p.score,
+                airJumps: p.airJumps, glue: p.glueTicks, stick: [u(p.stickPoint.x), u(p.stickPoint.y)]
+            })),
+            walls: this.walls.filter(w => w.y + w.h > top && w.y < bottom).map(w => ({
+                id: w.id, x: u(w.x), y: u(w.y), w: u(w.w), h: u(w.h), type: w.type, crumble: w.crumbleTicks
+            })),
+            pickups: this.pickups.filter(p => p.y > top && p.y < bottom).map(p => ({ x: u(p.x), y: u(p.y), type: p.type }))
+        };
+    }
+
+    /**
+     * Spectator side of snapshot(): replaces the world with a received one, keeping
+     * the previous positions so the frames in between can be interpolated.
+     * @param {object} snap - Validated `snapshot` message
+     */
+    applySnapshot(snap) {
+        const u = (v) => v * this.worldWidth;
+        const restarted = snap.tick < this.tick; // New run: nothing to interpolate from
+        this.savePrevious();
+
+        this.tick = snap.tick;
+        this.score = snap.score;
+        this.camera.y = u(snap.camera);
+        this.tide.y = u(snap.tide.y);
+        this.tide.waveOffset = snap.tide.wave;
+        this.tideFrozenTicks = snap.tide.frozen;
+
+        this.players = snap.players.map(s => {
+            let player = this.players.find(p => p.slot === s.slot);
+            if (!player) {
+                player = new Player(u(s.x), u(s.y), this.worldWidth * Config.Ratios.PLAYER_RADIUS, Config.Colors.PLAYERS[s.slot]);
+                player.slot = s.slot;
+            }
+            player.x = u(s.x);
+            player.y = u(s.y);
+            player.state = s.state;
+            player.alive = s.alive;
+            player.score = s.score;
+            player.airJumps = s.airJumps;
+            player.glueTicks = s.glue;
+            player.stickPoint = { x: u(s.stick[0]), y: u(s.stick[1]) };
+            return player;
+        });
+
+        this.walls = snap.walls.map(s => {
+            let wall = this.walls.find(w => w.id === s.id);
+            if (!wall) {
+                wall = new Wall(u(s.x), u(s.y), u(s.w), u(s.h), s.type);
+                wall.id = s.id;
+            }
+            wall.x = u(s.x);
+            wall.y = u(s.y);
+            wall.w = u(s.w);
+            wall.h = u(s.h);
+            wall.crumbleTicks = s.crumble;
+            return wall;
+        });
+
+        this.pickups = snap.pickups.map(s => new Pickup(u(s.x), u(s.y), this.worldWidth * Config.Pickups.RADIUS, s.type));
+
+        if (restarted) this.savePrevious();
+    }
+}
+
+/**
+ * Autopilot for one seat. It reads the simulation the way a player reads the
+ * screen and answers through InputManager with tilt vectors and jumps, the same
+ * path a phone's input takes, so bot runs record and replay like any other.
+ * Once its slime has landed it tries a fan of jumps with the trajectory
+ * predictor and takes the highest landing that is neither deadly nor near the tide.
+ * Walls and the tide keep moving while it aims, so the jump is checked again
+ * before it is made.
+ */
+class Bot {
+    /**
+     * @param {string} id - ID of the player it controls
+     * @param {GameSimulation} sim
+     * @param {InputManager} input
+     */
+    constructor(id, sim, input) {
+        this.id = id;
+        this.sim = sim;
+        this.input = input;
+        this.wait = Config.Bot.REACTION; // Ticks until the next action
+        this.aim = null; // Planned jump, taken once the aim time is up
+    }
+
+    /**
+     * Runs once per tick, before the simulation steps.
+     */
+    update() {
+        const player = this.sim.getPlayer(this.id);
+        if (!player || !player.alive) return;
+
+        if (!player.attached && !this.shouldAirJump(player)) {
+            this.wait = Config.Bot.REACTION;
+            this.aim = null;
+            return;
+        }
+        if (--this.wait > 0) return;
+
+        if (!this.aim) {
+            this.aim = this.plan(player);
+            this.input.setTilt(Bot.toVector(this.aim.angle, this.aim.magnitude), this.id);
+            this.wait = player.attached ? Config.Bot.AIM_TIME : 1;
+        } else {
+            if (this.rate(player, this.aim.angle, this.aim.magnitude) === null) {
+                this.aim = this.plan(player); // No longer lands safely: no time to show the new aim
+                this.input.setTilt(Bot.toVector(this.aim.angle, this.aim.magnitude), this.id);
+            }
+            this.input.triggerJump(this.id);
+            this.input.setTilt(Bot.toVector(0, 0), this.id); // Hands off until the next landing
+            this.aim = null;
+            this.wait = Config.Bot.REACTION;
+        }
+    }
+
+    /**
+     * @param {Player} player
+     * @returns {boolean} True when a stored air jump is all that stands between the slime and the tide
+     */
+    shouldAirJump(player) {
+        return player.canJump && player.vy > 0 && this.sim.tide.y - player.y < this.sim.worldHeight * 0.3;
+    }
+
+    /**
+     * @param {Player} player
+     * @returns {{angle: number, magnitude: number}} Best jump found, straight up at full power if none lands
+     */
+    plan(player) {
+        const { ANGLES, POWERS } = Config.Bot;
+        let best = { angle: Math.PI / 2, magnitude: 100, score: -Infinity };
+
+        for (let i = 0; i < ANGLES; i++) {
+            const angle = (i / ANGLES) * Math.PI * 2;
+            POWERS.forEach(magnitude => {
+                const score = this.rate(player, angle, magnitude);
+                if (score !== null && score > best.score) best = { angle, magnitude, score };
+            });
+        }
+        return best;
+    }
+
+    /**
+     * @param {Player} player
+     * @param {number} angle
+     * @param {number} magnitude - 0..100
+     * @returns {number|null} Higher for jumps that climb more, null if it doesn't land safely
+     */
+    rate(player, angle, magnitude) {
+        const result = this.sim.predict(player, angle, magnitude, Config.Bot.HORIZON);
+        const tideMargin = this.sim.tide.y - player.radius * 4;
+        if (!result || !result.stick || result.hazard || result.stick.y > tideMargin) return null;
+
+        return player.y - result.stick.y - magnitude * 0.01; // Climb, softer jumps break ties
+    }
+
+    /**
+     * @param {number} angle
+     * @param {number} magnitude - 0..100
+     * @returns {{x: number, y: number, magnitude: number, angle: number}} Tilt vector as a phone sends it
+     */
+    static toVector(angle, magnitude) {
+        return { x: Math.cos(angle) * magnitude, y: Math.sin(angle) * magnitude, magnitude, angle };
+    }
+
+    /**
+     * @param {number[]} heights - Final height of each run
+     * @returns {{runs: number, mean: number, median: number, p10: number, p90: number, best: number}}
+     */
+    static summarize(heights) {
+        const sorted = [...heights].sort((a, b) => a - b);
+        const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+        return {
+            runs: sorted.length,
+            mean: Math.round(sorted.reduce((sum, h) => sum + h, 0) / sorted.length),
+            median: at(0.5),
+            p10: at(0.1),
+            p90: at(0.9),
+            best: sorted[sorted.length - 1]
+        };
+    }
+}
+
+/**
+ * The browser game: wraps a GameSimulation with rendering, HUD, controllers,
+ * pausing, replays, ghosts and the leaderboard.
+ */
+class Game {
+    constructor() {
+        // UI Elements
+        this.scoreEl = document.getElementById('score-value');
+        this.finalScoreEl = document.getElementById('final-score');
+        this.finalSeedEl = document.getElementById('final-seed');
+        this.finalDifficultyEl = document.getElementById('final-difficulty');
+        this.difficultySelect = document.getElementById('difficulty-select');
+        this.ghostDeltaEl = document.getElementById('ghost-delta');
+        this.powerUpsEl = document.getElementById('powerups');
+        this.leaderboardEls = [document.getElementById('leaderboard'), document.getElementById('lobby-leaderboard')];
+        this.playerScoresEl = document.getElementById('player-scores');
+        this.resultsEl = document.getElementById('results');
+        this.lobbyEl = document.getElementById('lobby-players');
+        this.statusEl = document.getElementById('connection-status');
+        this.pauseScreen = document.getElementById('pause-screen');
+        this.pauseReasonEl = document.getElementById('pause-reason');
+        this.countdownEl = document.getElementById('countdown');
+        this.resumeBtn = document.getElementById('resume-btn');
+        this.gameOverScreen = document.getElementById('game-over-screen');
+        this.soundBtn = document.getElementById('sound-btn');
+        this.botStatsEl = document.getElementById('bot-stats');
+        this.watchTextEl = document.getElementById('watch-text');
+        this.watchLinkEl = document.getElementById('watch-link');
+        this.joinTextEl = document.getElementById('join-text');
+        this.joinLinkEl = document.getElementById('join-link');
+        this.roomTextEl = document.getElementById('room-text');
+        this.roomCodeEl = document.getElementById('room-code');
+        this.roomUrlEl = document.getElementById('room-url');
+        this.roomPinEl = document.getElementById('room-pin');
+        this.seatsBtn = document.getElementById('seats-btn');
+        this.seatsPanel = document.getElementById('seats-panel');
+        this.seatListEl = document.getElementById('seat-list');
+        this.seatNoticeEl = document.getElementById('seat-notice');
+        this.lockBtn = document.getElementById('lock-btn');
+        this.perf = null; // Performance overlay, on pages that run the game
+
+        // System
+        this.renderer = new Renderer(
+            document.getElementById('gameCanvas'),
+            document.getElementById('bg-canvas')
+        );
+        this.net = new NetworkManager();
+        this.input = new InputManager(this.net);
+        this.sim = new GameSimulation();
+        this.recorder = new ReplayRecorder();
+        this.audio = new SoundEngine();
+        this.leaderboard = new Leaderboard();
+        this.pendingNames = new Map(); // Leaderboard entry ID -> client ID asked to name it
+        this.newEntryIds = [];         // Entries added by the last run, highlighted
+        this.input.recorder = this.recorder;
+        this.lastReplay = null; // Replay of the most recently finished run
+        this.ghost = null; // Best run on the current seed
+        this.ghostSamples = []; // Trajectory of the current run
+        this.ghostDelta = null;
+        this.bots = [];         // Autopilots playing seats
+        this.demo = false;      // Attract mode: a bot plays on the idle connection screen
+        this.demoTimer = null;
+        this.botStats = null;   // ?bot= test runs: { runs, seeds, heights }
+
+        // State
+        this.state = 'start'; // start | playing | paused | countdown | gameover
+        this.pauseReasons = new Set(); // 'user' | 'hidden' | 'disconnect'
+        this.countdownTicks = 0;
+        this.phonesPaused = false; // Pause state last sent to the controllers
+        this.seed = null;
+        this.sharedSeed = null; // From ?seed=, replayed on every run
+        this.lastTime = 0;
+        this.accumulator = 0; // Unsimulated time (ms) carried between frames
+        this.frameCount = 0;
+        this.lobbyTimer = null;
+        this.lastSnapshot = 0; // Loop timestamp of the last spectator snapshot
+
+        // Dimensions
+        this.lastWinW = 0;
+        this.lastWinH = 0;
+
+        // Players
+        this.lostPlayers = new Set(); // Players whose controller stopped responding
+        this.powerUpsKey = '';    // Power-up HUD contents last rendered
+        this.difficulty = new Difficulty(this.loadDifficulty());
+        this.previewOverride = null; // Trajectory preview horizon from ?preview=, else the difficulty's
+
+        this.bindEvents();
+        this.renderLeaderboards();
+    }
+
+    bindEvents() {
+        // Restart Button
+        document.getElementById('restart-btn').addEventListener('click', () => this.resetGame());
+        document.getElementById('download-replay-btn').addEventListener('click', () => this.downloadReplay());
+        document.getElementById('download-bot-stats-btn').addEventListener('click', () => this.downloadBotStats());
+
+        // Net Events
+        this.net.on('connected', (id) => this.onControllerJoined(id));
+        this.net.on('reconnected', (id) => this.onControllerReconnected(id));
+        this.net.on('client_status', (id, status) => this.onControllerStatus(id, status));
+        this.net.on('disconnected', (id) => this.onControllerLeft(id));
+        this.net.on('heartbeat', () => this.renderLobby());
+        this.net.on('spectators', () => this.renderLobby());
+        this.net.on('pin', (pin) => this.roomPinEl.textContent = pin);
+        this.net.on('locked', () => this.renderSeats());
+        this.net.on('refused', (reason) => {
+            const why = { auth: 'wrong PIN', locked: 'session locked', full: 'game full', kicked: 'kicked earlier' };
+            this.seatNoticeEl.textContent = `Turned away a controller (${why[reason] || reason})`;
+        });
+        this.net.on('open', () => {
+            const url = this.net.getJoinUrl('watch');
+            this.watchLinkEl.href = url;
+            this.watchLinkEl.textContent = url;
+            this.watchTextEl.classList.remove('hidden');
+
+            // Room code for phones that can't scan the QR code
+            this.roomTextEl.classList.toggle('hidden', !this.net.roomCode);
+            if (this.net.roomCode) {
+                this.roomCodeEl.textContent = this.net.roomCode;
+                this.roomPinEl.textContent = this.net.pin;
+                this.roomUrlEl.textContent = this.net.getJoinUrl('join', '').replace(/^https?:\/\//, '');
+            }
+
+            // Without a network there's no phone to scan the QR code with
+            if (this.net.transport.type === 'local') {
+                this.joinLinkEl.href = this.net.getJoinUrl('host');
+                this.joinLinkEl.textContent = this.joinLinkEl.href;
+                this.joinTextEl.classList.remove('hidden');
+            }
+        });
+
+        // Simulation Events
+        this.sim.on('tick', (tick) => {
+            this.input.processTick(tick);
+            this.jumpQueuedCharges();
+        });
+        this.sim.on('contact', (player, speed) => this.onWallContact(player, speed));
+        this.sim.on('collect', (player) => this.net.send({ type: 'vibrate', duration: Config.Pickups.VIBRATION }, player.id));
+        this.sim.on('score', () => {
+            this.updateScoreboard();
+            this.scoreEl.textContent = this.sim.score + 'm';
+        });
+        this.sim.on('eliminated', (player) => {
+            this.updateScoreboard();
+            if (this.sim.runPlayers.length > 1) this.net.send({ type: 'vibrate', duration: 400 }, player.id);
+        });
+        this.sim.on('over', () => this.gameOver());
+
+        // Restart / Pause / Name Entry from Controller
+        this.net.on('data', (d, id) => {
+            if (d.type === 'restart' && this.state === 'gameover') {
+                this.resetGame();
+            } else if (d.type === 'pause') {
+                this.togglePause();
+            } else if (d.type === 'set_difficulty') {
+                this.setDifficulty(d.preset);
+            } else if (d.type === 'name') {
+                this.onNameEntered(d.entryId, d.name, id);
+            } else if (d.type === 'set_audio') {
+                this.setAudio(d.volume, d.muted);
+            }
+        });
+
+        // Seat Management
+        this.seatsBtn.addEventListener('click', () => this.seatsPanel.classList.toggle('hidden'));
+        this.lockBtn.addEventListener('click', () => this.net.setLocked(!this.net.locked));
+
+        // Sound Toggle
+        this.updateSoundButton();
+        this.soundBtn.addEventListener('click', () => this.setAudio(this.audio.volume, !this.audio.muted));
+
+        // Difficulty Picker
+        Object.entries(Config.Difficulty.Presets).forEach(([name, preset]) => this.difficultySelect.add(new Option(preset.label, name)));
+        this.difficultySelect.value = this.difficulty.name;
+        this.difficultySelect.addEventListener('change', () => this.setDifficulty(this.difficultySelect.value));
+
+        // Pause while the host window is in the background
+        this.resumeBtn.addEventListener('click', () => this.resume('user'));
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause('hidden');
+            else this.resume('hidden');
+        });
+
+        // Input Jump
+        this.input.onJump((id) => {
+            const player = this.getPlayer(id);
+            if (!player || !player.alive) return;
+
+            const tilt = this.input.getTilt(id);
+            this.jumpPlayer(player, tilt.angle, tilt.magnitude);
+        });
+
+        // Hold-to-charge Jump (tilt only steers, the hold time sets the power)
+        this.input.onCharge(
+            (id) => {
+                const player = this.getPlayer(id);
+                if (player && player.alive) player.startCharge();
+            },
+            (id) => {
+                const player = this.getPlayer(id);
+                if (!player || !player.alive) return;
+
+                const charge = player.releaseCharge();
+                if (charge > 0 && !this.jumpPlayer(player, this.getAim(player).angle, charge * 100)) {
+                    player.queuedCharge = charge; // Let go mid-air: jump on landing rather than not at all
+                }
+            }
+        );
+    }
+
+    /**
+     * @param {Player} player
+     * @param {number} angle - Tilt angle (the jump goes the opposite way)
+     * @param {number} magnitude - Power, 0..100
+     * @returns {boolean} True if the slime could jump
+     */
+    jumpPlayer(player, angle, magnitude) {
+        if (!this.sim.jump(player, angle, magnitude)) return false;
+        this.net.send({ type: 'vibrate', duration: Math.floor(magnitude * 0.5) }, player.id);
+        this.audio.jump(magnitude / 100);
+        return true;
+    }
+
+    /**
+     * Makes the charged jumps released mid-air once their slime has stuck to a wall.
+     */
+    jumpQueuedCharges() {
+        this.sim.players.forEach(player => {
+            if (!player.queuedCharge || !player.alive || !player.attached) return;
+            this.jumpPlayer(player, this.getAim(player).angle, player.queuedCharge * 100);
+            player.queuedCharge = 0;
+        });
+    }
+
+    /**
+     * Plays the sound of a slime hitting a wall.
+     * @param {Player} player - State after the hit
+     * @param {number} speed - Speed just before the hit
+     */
+    onWallContact(player, speed) {
+        const power = Math.min(1, speed / this.sim.maxJumpForce);
+        if (player.state === 'air') this.audio.boing(power); // Bounced off
+        else if (player.state !== 'dead') this.audio.splat(power);
+    }
+
+    /**
+     * Feeds the looping sounds from the current frame: glue stretch and tide danger.
+     */
+    updateAudio() {
+        if (this.state !== 'playing') {
+            this.audio.setGlue(0);
+            this.audio.setDanger(0);
+            return;
+        }
+
+        let stretch = 0;
+        this.sim.players.forEach(p => {
+            if (!p.alive || p.state !== 'sticky') return;
+            const s = Math.abs(p.y - p.stickPoint.y) / (p.radius * Config.Audio.GLUE_STRETCH);
+            stretch = Math.max(stretch, Math.min(1, s) || 0.01); // Audible from the moment it sticks
+        });
+        this.audio.setGlue(stretch);
+        this.audio.setDanger(this.sim.getDanger());
+    }
+
+    /**
+     * Applies and persists the host's sound settings, and syncs every phone.
+     * @param {number} volume - 0..1
+     * @param {boolean} muted
+     */
+    setAudio(volume, muted) {
+        this.audio.set(volume, muted);
+        this.updateSoundButton();
+        this.net.send({ type: 'audio', ...this.audio.settings });
+    }
+
+    updateSoundButton() {
+        this.soundBtn.textContent = this.audio.muted || this.audio.volume === 0 ? '🔇' : '🔊';
+        this.soundBtn.classList.toggle('active', this.audio.muted);
+    }
+
+    /**
+     * Previews the jump a player is aiming at.
+     * @param {Player} player
+     * @returns {{points: {x: number, y: number}[], stick: {x: number, y: number}|null, hazard: boolean}|null}
+     *     Position after each tick, where the slime first lands within the horizon and
+     *     whether that landing is deadly, or null if there is nothing to preview
+     */
+    predictTrajectory(player) {
+        const aim = this.getAim(player);
+        if (this.previewTicks <= 0 || aim.magnitude <= 0) return null;
+        return this.sim.predict(player, aim.angle, aim.magnitude, this.previewTicks);
+    }
+
+    /**
+     * Where a player would jump right now.
+     * @param {Player} player
+     * @returns {{angle: number, magnitude: number, mode: string}} Tilt angle and power (0..100)
+     */
+    getAim(player) {
+        const tilt = this.input.getTilt(player.id);
+        const mode = this.input.getMode(player.id);
+        if (mode !== 'charge') return { angle: tilt.angle, magnitude: tilt.magnitude, mode };
+
+        // With the phone held flat a charged jump goes straight up
+        const angle = tilt.magnitude > 0 ? tilt.angle : Math.PI / 2;
+        return { angle, magnitude: player.charge * 100, mode };
+    }
+
+    /**
+     * Seats a new controller. The first one opens a short lobby for others to join.
+     * @param {string} id - Controller client ID
+     */
+    onControllerJoined(id) {
+        this.stopDemo();
+        const player = this.addPlayer(id);
+        if (!player) return;
+
+        this.sendWelcome(player);
+        this.statusEl.textContent = `${player.name} joined!`;
+
+        if (this.state === 'start' && !this.lobbyTimer) {
+            this.statusEl.textContent += ` Starting in ${Config.Multiplayer.LOBBY_DELAY / 1000}s...`;
+            // A run must not begin before the chunks settle: they shape the tower
+            this.lobbyTimer = setTimeout(() => this.chunksReady.then(() => {
+                this.lobbyTimer = null;
+                if (this.sim.players.length === 0) return;
+                document.getElementById('connection-screen').classList.add('hidden');
+                this.startGame();
+            }), Config.Multiplayer.LOBBY_DELAY);
+        }
+    }
+
+    /**
+     * A controller came back after dropping out: restore its seat's state on the phone.
+     * @param {string} id - Controller client ID
+     */
+    onControllerReconnected(id) {
+        const player = this.getPlayer(id);
+        if (!player) return;
+
+        this.input.clearTilt(id); // Until the phone sends its first sample
+
+        this.sendWelcome(player);
+        if (this.state === 'gameover') this.net.send({ type: 'gameover' }, id);
+        this.pendingNames.forEach((clientId, entryId) => {
+            if (clientId === id) this.sendNamePrompt(entryId, id);
+        });
+    }
+
+    /**
+     * Completes the handshake with the player's controller.
+     * @param {Player} player
+     */
+    sendWelcome(player) {
+        this.net.send({
+            type: 'welcome',
+            version: Protocol.VERSION,
+            capabilities: this.net.getCapabilities(player.id),
+            slot: player.slot,
+            color: player.color
+        }, player.id);
+        this.net.send({ type: 'difficulty', preset: this.difficulty.name }, player.id);
+        this.net.send({ type: 'audio', ...this.audio.settings }, player.id);
+    }
+
+    /**
+     * Freezes the run while a racing player's controller is unreachable.
+     * @param {string} id - Controller client ID
+     * @param {string} status - 'online' | 'lost'
+     */
+    onControllerStatus(id, status) {
+        const player = this.getPlayer(id);
+        if (!player) return;
+
+        player.connection = status;
+        if (status === 'lost') {
+            this.lostPlayers.add(player);
+            this.input.clearTilt(id); // Its last sample may be seconds old by now
+        } else {
+            this.lostPlayers.delete(player);
+        }
+
+        this.renderLobby();
+        this.updateScoreboard();
+        this.syncDisconnectPause();
+    }
+
+    /**
+     * Pauses while any racing player's controller is lost, resumes once all are back.
+     */
+    syncDisconnectPause() {
+        if (this.getWaitingPlayers().length > 0) this.pause('disconnect');
+        else this.resume('disconnect');
+    }
+
+    /**
+     * @returns {Player[]} Racing players whose controller is currently lost
+     */
+    getWaitingPlayers() {
+        return [...this.lostPlayers].filter(p => p.alive);
+    }
+
+    /**
+     * @param {string} id - Controller client ID
+     */
+    onControllerLeft(id) {
+        const player = this.getPlayer(id);
+        if (!player) return;
+
+        console.log(`${player.name} left`);
+        this.lostPlayers.delete(player);
+        this.input.clearTilt(id);
+        this.sim.removePlayer(player);
+        this.renderLobby();
+        this.renderScoreboard();
+
+        if (this.isRunning() && player.alive) this.sim.eliminate(player);
+        this.syncDisconnectPause();
+        if (this.sim.players.length === 0) {
+            clearTimeout(this.lobbyTimer);
+            this.lobbyTimer = null;
+            this.scheduleDemo(); // A run in progress ends first
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Player|undefined}
+     */
+    getPlayer(id) {
+        return this.sim.getPlayer(id);
+    }
 
-            this.canvas.style.borderColor = `rgba(${r}, ${g}, ${b}, ${a})`;
-            this.canvas.style.boxShadow = `0 0 ${5 + intensity * 5}vmin rgba(${r}, 0, 0, ${0.9 * intensity})`;
+    /**
+     * Seats a player in the lowest free slot. Players joining mid-run wait for the next one.
+     * @param {string} id - Controller client ID (or InputManager.LOCAL_ID)
+     * @returns {Player|null} null if every seat is taken
+     */
+    addPlayer(id) {
+        const player = this.sim.addPlayer(id);
+        if (!player) return null;
+
+        if (this.state === 'start') {
+            this.resetEntities();
         } else {
-            this.canvas.style.borderColor = 'rgba(255, 255, 255, 0.3)';
-            this.canvas.style.boxShadow = '0 0 5vmin rgba(0, 0, 0, 0.9)';
+            player.alive = false;
         }
+
+        this.renderLobby();
+        this.renderScoreboard();
+        return player;
     }
-}
 
-// ==========================================
-// 5. MAIN GAME LOGIC
-// ==========================================
+    /**
+     * Seats an autopilot.
+     * @returns {Player|null} null if every seat is taken
+     */
+    addBot() {
+        const bot = new Bot(`bot-${this.bots.length + 1}`, this.sim, this.input);
+        this.bots.push(bot); // Before seating, so the lobby already leaves it out
+        const player = this.addPlayer(bot.id);
+        if (!player) this.bots.pop();
+        return player;
+    }
 
-class Game {
-    constructor() {
-        // UI Elements
-        this.scoreEl = document.getElementById('score-value');
-        this.finalScoreEl = document.getElementById('final-score');
-        this.gameOverScreen = document.getElementById('game-over-screen');
+    /**
+     * @param {Player} player
+     * @returns {boolean}
+     */
+    isBot(player) {
+        return this.bots.some(bot => bot.id === player.id);
+    }
 
-        // System
-        this.renderer = new Renderer(
-            document.getElementById('gameCanvas'),
-            document.getElementById('bg-canvas')
-        );
-        this.net = new NetworkManager();
-        this.input = new InputManager(this.net);
-        this.levelGen = new LevelGenerator();
+    /**
+     * Attract mode: while nobody is seated, a bot plays behind the connection
+     * screen, starting over a little while after each run ends. It also takes
+     * over once the last player leaves, from the lobby or the results screen.
+     */
+    scheduleDemo() {
+        clearTimeout(this.demoTimer);
+        this.demoTimer = setTimeout(() => {
+            if (this.demo) {
+                this.resetGame();
+            } else if (!this.isRunning() && this.sim.players.length === 0) {
+                this.gameOverScreen.classList.add('hidden');
+                document.getElementById('connection-screen').classList.remove('hidden');
+                this.rollSeed();
+                this.demo = true;
+                this.addBot();
+                this.startGame();
+            }
+        }, Config.Bot.DEMO_DELAY);
+    }
 
-        // State
-        this.state = 'start'; // start | playing | gameover
-        this.score = 0;
-        this.lastTime = 0;
-        this.frameCount = 0;
+    /**
+     * Ends the attract demo and frees its seat for a real player.
+     */
+    stopDemo() {
+        if (!this.demo) return;
+
+        clearTimeout(this.demoTimer);
+        this.demo = false;
+        this.bots.forEach(bot => this.sim.removePlayer(this.getPlayer(bot.id)));
+        this.bots = [];
+        this.state = 'start';
+        this.scoreEl.textContent = '0m';
+        this.rollSeed();
+        this.resetEntities();
+        this.updatePauseScreen();
+    }
 
-        // Dimensions
-        this.worldWidth = 0;
-        this.worldHeight = 0;
-        this.lastWinW = 0;
-        this.lastWinH = 0;
+    /**
+     * ?bot= test runs: tallies the run's height and starts the next run.
+     */
+    recordBotRun() {
+        this.botStats.seeds.push(this.seed);
+        this.botStats.heights.push(Math.max(...this.sim.runPlayers.map(p => p.height)));
+        const s = Bot.summarize(this.botStats.heights);
 
-        // Entities
-        this.player = new Player(0, 0);
-        this.tide = new Tide(0);
-        this.camera = new Camera();
-        this.walls = [];
-        this.scoreDivisor = 10;
+        this.botStatsEl.textContent = `Bot run ${s.runs}/${this.botStats.runs} · mean ${s.mean}m · median ${s.median}m · ` +
+            `p10 ${s.p10}m · p90 ${s.p90}m · best ${s.best}m`;
+        this.botStatsEl.classList.remove('hidden');
+        document.getElementById('download-bot-stats-btn').classList.remove('hidden');
 
-        this.bindEvents();
+        if (s.runs < this.botStats.runs) setTimeout(() => this.resetGame(), Config.Bot.RESTART_DELAY);
     }
 
-    bindEvents() {
-        // Restart Button
-        document.getElementById('restart-btn').addEventListener('click', () => this.resetGame());
-
-        // Net Events
-        this.net.on('readyToStart', () => {
-            document.getElementById('connection-screen').classList.add('hidden');
-            this.startGame();
-        });
+    /**
+     * Trajectory preview horizon in ticks, 0 = off.
+     * @returns {number}
+     */
+    get previewTicks() {
+        return this.previewOverride ?? this.difficulty.preset.previewTicks;
+    }
 
-        // Restart from Controller
-        this.net.on('data', (d) => {
-            if (d.type === 'restart') {
-                this.resetGame();
-            }
-        });
+    loadDifficulty() {
+        try {
+            return localStorage.getItem(Config.Difficulty.STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
 
-        // Input Jump
-        this.input.onJump(() => {
-            const jumped = this.player.jump(
-                this.input.tiltVector.angle,
-                this.input.tiltVector.magnitude,
-                this.maxJumpForce,
-                this.jumpForceMult
-            );
+    /**
+     * Picks the preset for the next run. Ignored while a run is in progress.
+     * @param {string} name - Preset name
+     */
+    setDifficulty(name) {
+        if (!this.demo && this.state !== 'start' && this.state !== 'gameover') {
+            this.net.send({ type: 'difficulty', preset: this.difficulty.name }); // Undo the phone's change
+            return;
+        }
 
-            if (jumped && this.net.conn) {
-                this.net.send({ type: 'vibrate', duration: Math.floor(this.input.tiltVector.magnitude * 0.5) });
-            }
-        });
+        this.difficulty = new Difficulty(name);
+        this.difficultySelect.value = this.difficulty.name;
+        this.net.send({ type: 'difficulty', preset: this.difficulty.name });
+        try {
+            localStorage.setItem(Config.Difficulty.STORAGE_KEY, this.difficulty.name);
+        } catch (e) {
+            console.warn('Could not save difficulty:', e);
+        }
     }
 
     /**
@@ -879,20 +5005,57 @@ class Game {
     init() {
         const urlParams = new URLSearchParams(window.location.search);
 
+        // Shared Level Seed
+        this.sharedSeed = urlParams.get('seed');
+
+        // Difficulty and Trajectory Preview Horizon (?preview=0 turns it off)
+        if (urlParams.has('difficulty')) this.setDifficulty(urlParams.get('difficulty'));
+        if (urlParams.has('preview')) this.previewOverride = Math.max(0, parseInt(urlParams.get('preview'), 10) || 0);
+        this.rollSeed();
+
+        // Authored level chunks (only the host builds towers)
+        const joining = urlParams.get('host') || urlParams.get('watch') || urlParams.has('join') || urlParams.has('room');
+        if (!joining) this.chunksReady = this.loadChunks();
+
         // Debug Mode
         if (urlParams.get('debug')) {
             console.log("Starting in Debug Mode");
             document.getElementById('host-view').classList.remove('hidden'); // Show Game
             document.getElementById('connection-status').textContent = "Debug Mode";
-            setTimeout(() => {
+            this.chunksReady.then(() => setTimeout(() => {
                 document.getElementById('connection-screen').classList.add('hidden');
                 this.startGame();
-            }, 500);
+            }, 500));
             this.input.enableDebugKeys();
+            if (urlParams.get('controls') === 'charge') this.input.setMode('charge');
+            this.addPlayer(InputManager.LOCAL_ID);
+            window.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.togglePause();
+            });
+        } else if (urlParams.has('bot')) {
+            // Bot Mode: unattended runs that report height statistics
+            document.getElementById('host-view').classList.remove('hidden');
+            this.botStats = { runs: Math.max(1, parseInt(urlParams.get('bot'), 10) || 1), seeds: [], heights: [] };
+            this.addBot();
+            this.chunksReady.then(() => {
+                document.getElementById('connection-screen').classList.add('hidden');
+                this.startGame();
+            });
+        } else if (urlParams.has('replay')) {
+            // Replay Mode
+            this.initReplay(urlParams.get('replay'));
         } else if (urlParams.get('host')) {
             // Controller Mode
-            new ControllerApp(urlParams.get('host'));
+            new ControllerApp(urlParams.get('host'), urlParams.get('key'));
             return; // Stop Game Logic here for Controller
+        } else if (urlParams.has('join') || urlParams.has('room')) {
+            // Room Code Entry (?room= prefills it)
+            new JoinScreen(urlParams.get('room'), urlParams.get('key'));
+            return;
+        } else if (urlParams.get('watch')) {
+            // Spectator Mode
+            new SpectatorApp(urlParams.get('watch'));
+            return;
         } else {
             // Host Mode
             this.net.initHost(
@@ -900,48 +5063,259 @@ class Game {
                 document.getElementById('connection-status')
             );
             document.getElementById('host-view').classList.remove('hidden');
+            this.seatsBtn.classList.remove('hidden');
+            this.chunksReady.then(() => this.scheduleDemo());
         }
 
+        // Performance Overlay
+        this.setupPerf(urlParams.has('stats'));
+
         // Start Loop
+        this.audio.bindUnlock();
         this.resize();
         requestAnimationFrame((t) => this.loop(t));
     }
 
+    /**
+     * Creates the performance overlay and binds its hotkey and export button.
+     * @param {boolean} visible - Show it straight away (?stats)
+     */
+    setupPerf(visible) {
+        this.perf = new PerfMonitor(
+            document.getElementById('perf-overlay'),
+            document.getElementById('perf-text'),
+            document.getElementById('perf-graph')
+        );
+        document.getElementById('perf-export-btn').addEventListener('click', () => this.downloadPerfTrace());
+        window.addEventListener('keydown', (e) => {
+            if (e.key === Config.Stats.HOTKEY && !e.repeat && e.target.tagName !== 'INPUT') this.perf.toggle();
+        });
+        if (visible) this.perf.toggle(true);
+    }
+
+    /**
+     * Loads the authored level chunks. Without them the tower is purely procedural.
+     * @returns {Promise} Settles once the chunks are installed or failed to load
+     */
+    loadChunks() {
+        return fetch(Config.Chunks.URL)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            })
+            .then(data => this.sim.levelGen.setChunks(LevelGenerator.parseChunks(data)))
+            .catch(err => console.warn('Level chunks unavailable, using procedural walls only:', err));
+    }
+
+    /**
+     * Replay Mode: plays back a recorded run instead of waiting for a controller.
+     * @param {string} src - URL of a replay file, or empty to pick a local file
+     */
+    initReplay(src) {
+        document.getElementById('host-view').classList.remove('hidden');
+        document.getElementById('qrcode').classList.add('hidden');
+        document.getElementById('difficulty-picker').classList.add('hidden'); // Comes from the file
+        const status = document.getElementById('connection-status');
+
+        const load = (promise) => Promise.all([promise, this.chunksReady])
+            .then(([data]) => this.startReplay(data))
+            .catch(err => {
+                console.error('Replay failed:', err);
+                status.textContent = `Replay failed: ${err.message}`;
+            });
+
+        if (src) {
+            status.textContent = 'Loading replay...';
+            load(fetch(src).then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            }));
+        } else {
+            status.textContent = 'Choose a replay file';
+            document.getElementById('replay-picker').classList.remove('hidden');
+            document.getElementById('replay-file').addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) load(file.text().then(text => JSON.parse(text)));
+            });
+        }
+    }
+
+    /**
+     * @param {object} data - Replay JSON
+     */
+    startReplay(data) {
+        this.input.replay = new ReplayPlayer(data);
+        this.sharedSeed = data.seed;
+        this.rollSeed();
+
+        this.sim.players = [];
+        data.players.forEach(id => this.addPlayer(id));
+        this.input.modes = { ...data.controls };
+        this.difficulty = new Difficulty(data.difficulty);
+
+        if ((data.chunks || null) !== this.sim.levelGen.libraryId) {
+            console.warn('Replay was recorded with a different set of level chunks; playback may diverge');
+        }
+        if (Math.round(data.world.width) !== Math.round(this.sim.worldWidth)) {
+            console.warn(`Replay was recorded at world width ${data.world.width}, playing at ${this.sim.worldWidth}; playback may diverge`);
+        }
+
+        document.getElementById('score-label').textContent = 'REPLAY';
+        document.getElementById('connection-screen').classList.add('hidden');
+        this.startGame();
+    }
+
+    downloadReplay() {
+        if (!this.lastReplay) return;
+        downloadJSON(`slime-replay-${this.lastReplay.seed}-${this.lastReplay.result.score}m.json`, this.lastReplay);
+    }
+
+    downloadBotStats() {
+        if (!this.botStats) return;
+        const { seeds, heights } = this.botStats;
+        downloadJSON(`slime-bot-${this.difficulty.name}-${heights.length}runs.json`, {
+            difficulty: this.difficulty.name,
+            chunks: this.sim.levelGen.libraryId,
+            runs: heights.map((height, i) => ({ seed: seeds[i], height })),
+            summary: Bot.summarize(heights)
+        });
+    }
+
+    downloadPerfTrace() {
+        downloadJSON(`slime-perf-${Date.now()}.json`, this.perf.toTrace({
+            seed: this.seed,
+            difficulty: this.difficulty.name,
+            state: this.state,
+            window: { width: window.innerWidth, height: window.innerHeight, devicePixelRatio: window.devicePixelRatio },
+            canvas: { width: this.renderer.canvas.width, height: this.renderer.canvas.height },
+            bgCanvas: { width: this.renderer.bgCanvas.width, height: this.renderer.bgCanvas.height },
+            controllers: this.net.clients.size
+        }));
+    }
+
+    /**
+     * Picks the seed for the next run: the shared `?seed=` if given, else a fresh one.
+     */
+    rollSeed() {
+        this.seed = this.sharedSeed || Random.createSeed();
+    }
+
     startGame() {
         this.state = 'playing';
         this.resetEntities();
+        this.applyPendingPause();
     }
 
     resetGame() {
         this.gameOverScreen.classList.add('hidden');
-        this.score = 0;
         this.scoreEl.textContent = '0m';
         this.state = 'playing';
+        this.rollSeed();
         this.resize(); // Force size check
         this.resetEntities();
+        this.applyPendingPause();
     }
 
-    resetEntities() {
-        // Center player
-        this.player.x = this.worldWidth / 2;
-        this.player.y = this.worldHeight - 150;
-        this.player.vx = 0;
-        this.player.vy = 0;
-        this.player.state = 'air';
+    /**
+     * @returns {boolean} True while a run is in progress, paused or not
+     */
+    isRunning() {
+        return this.state === 'playing' || this.state === 'paused' || this.state === 'countdown';
+    }
 
-        this.tide.y = this.worldHeight * (1 + Config.Ratios.TIDE_START_OFFSET);
-        this.camera.y = 0;
+    /**
+     * Adds a pause reason; the run freezes until every reason is resolved.
+     * @param {string} reason - 'user' | 'hidden' | 'disconnect'
+     */
+    pause(reason) {
+        this.pauseReasons.add(reason);
+        if (this.state === 'playing' || this.state === 'countdown') this.state = 'paused';
+        this.updatePauseScreen();
+    }
 
-        // Gen Floor & Walls
-        const floorHeight = this.worldWidth * 0.15;
-        const floorY = this.worldHeight - this.worldWidth * 0.1;
+    /**
+     * Clears a pause reason. Play resumes after a countdown once none are left.
+     * @param {string} reason
+     */
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+        if (this.state === 'paused' && this.pauseReasons.size === 0) {
+            this.state = 'countdown';
+            this.countdownTicks = Config.Simulation.RESUME_COUNTDOWN * Config.Simulation.TICK_RATE;
+        }
+        this.updatePauseScreen();
+    }
 
-        this.walls = [new Wall(0, floorY, this.worldWidth, floorHeight, 'normal')];
-        this.levelGen.reset(floorY);
+    togglePause() {
+        if (!this.isRunning()) return;
+        if (this.pauseReasons.has('user')) this.resume('user');
+        else this.pause('user');
+    }
 
-        for (let i = 0; i < 15; i++) {
-            this.walls.push(this.levelGen.generateNext(this.worldWidth));
+    /**
+     * A new run starts paused if the window is hidden or a controller is still away.
+     */
+    applyPendingPause() {
+        this.pauseReasons.delete('user');
+        this.pauseReasons.delete('disconnect');
+        this.syncDisconnectPause();
+        if (this.pauseReasons.size > 0) {
+            this.state = 'paused';
+            this.updatePauseScreen();
+        }
+    }
+
+    updatePauseScreen() {
+        const paused = this.state === 'paused';
+        const counting = this.state === 'countdown';
+        this.pauseScreen.classList.toggle('hidden', !paused && !counting);
+
+        if (paused) {
+            const waiting = this.getWaitingPlayers();
+            if (waiting.length > 0) {
+                this.pauseReasonEl.textContent = `Waiting for ${waiting.map(p => p.name).join(', ')} to reconnect...`;
+            } else if (this.pauseReasons.has('hidden')) {
+                this.pauseReasonEl.textContent = 'Game window is in the background';
+            } else {
+                this.pauseReasonEl.textContent = 'Take a breather';
+            }
+        } else if (counting) {
+            this.pauseReasonEl.textContent = 'Get ready!';
+            this.countdownEl.textContent = Math.ceil(this.countdownTicks / Config.Simulation.TICK_RATE);
         }
+        this.countdownEl.classList.toggle('hidden', !counting);
+        this.resumeBtn.classList.toggle('hidden', !paused || this.pauseReasons.size !== 1 || !this.pauseReasons.has('user'));
+
+        // Let the phones show a matching pause/resume button
+        const phonesPaused = paused || counting;
+        if (phonesPaused !== this.phonesPaused) {
+            this.phonesPaused = phonesPaused;
+            this.net.send({ type: 'paused', paused: phonesPaused });
+        }
+    }
+
+    resetEntities() {
+        this.sim.reset(this.seed, this.difficulty);
+        this.renderScoreboard();
+        this.updatePowerUpHUD();
+
+        this.input.reset();
+        if (this.input.replay) this.input.replay.rewind();
+
+        // Ghosts only make sense when racing yourself
+        this.ghost = this.sim.isSolo() ? Ghost.load(this.seed, this.difficulty.name, this.sim.levelGen.libraryId) : null;
+        this.ghostSamples = [];
+        if (this.sim.isSolo()) this.recordGhostSample(); // Sample i is taken at tick i * SAMPLE_INTERVAL
+        this.ghostDelta = null;
+        this.ghostDeltaEl.classList.toggle('hidden', !this.ghost);
+        this.recorder.start({
+            seed: this.seed,
+            players: this.sim.runPlayers.map(p => p.id),
+            controls: { ...this.input.modes },
+            chunks: this.sim.levelGen.libraryId,
+            difficulty: this.difficulty.name,
+            world: { width: this.sim.worldWidth, height: this.sim.worldHeight }
+        });
     }
 
     resize() {
@@ -950,152 +5324,608 @@ class Game {
         this.lastWinW = window.innerWidth;
         this.lastWinH = window.innerHeight;
 
-        // 1. Calculate Canvas Dimensions 
-        const targetAspect = 13 / 16;
-        const winAspect = window.innerWidth / window.innerHeight;
-        let w, h;
+        // World Dimensions (a run in progress is scaled, not restarted)
+        const world = this.renderer.resize(window.innerWidth, window.innerHeight);
+        this.sim.resize(world.width, world.height, this.state !== 'start');
 
-        if (winAspect > targetAspect) {
-            h = window.innerHeight;
-            w = h * targetAspect;
-        } else {
-            w = window.innerWidth;
-            h = w / targetAspect;
+        if (this.state === 'start') this.resetEntities();
+    }
+
+    /**
+     * Frame loop. Simulation runs in fixed ticks via an accumulator;
+     * rendering interpolates between the last two ticks.
+     */
+    loop(timestamp) {
+        this.resize(); // Check resize every frame
+
+        if (!this.lastTime) this.lastTime = timestamp;
+        const elapsed = timestamp - this.lastTime;
+        const frameTime = Math.min(elapsed, Config.Simulation.MAX_FRAME_TIME);
+        this.lastTime = timestamp;
+
+        const tickMs = 1000 / Config.Simulation.TICK_RATE;
+        const timeScale = tickMs / (1000 / 60); // Physics constants are tuned per 60 Hz frame
+
+        this.accumulator += frameTime * (this.botStats ? Config.Bot.FAST_FORWARD : 1);
+        const updateStart = performance.now();
+        let ticks = 0;
+        this.sim.collisionChecks = 0;
+        while (this.accumulator >= tickMs) {
+            this.sim.savePrevious();
+            this.update(timeScale);
+            this.accumulator -= tickMs;
+            ticks++;
+        }
+        const updateEnd = performance.now();
+        const collisions = this.sim.collisionChecks;
+
+        // Spectators get the world a few times a second and interpolate in between
+        if (this.net.spectators.size > 0 && timestamp - this.lastSnapshot >= Config.Spectators.SNAPSHOT_INTERVAL) {
+            this.lastSnapshot = timestamp;
+            this.sendSnapshot();
         }
 
-        const oldWorldW = this.worldWidth;
+        const drawStart = performance.now();
+        this.sim.collisionChecks = 0; // From here on: trajectory previews
+        this.renderer.draw(this, this.accumulator / tickMs);
+        const drawTime = performance.now() - drawStart;
+        this.updateAudio();
+
+        if (this.perf.visible && elapsed > 0) {
+            const rtt = {};
+            this.sim.players.filter(p => !this.isBot(p)).forEach(p => {
+                const client = this.net.clients.get(p.id);
+                if (client) rtt[p.name] = client.rtt;
+            });
+            this.perf.record({
+                t: timestamp,
+                frame: elapsed,
+                update: updateEnd - updateStart,
+                ticks,
+                draw: drawTime,
+                preview: this.renderer.timings.preview,
+                main: this.renderer.timings.main,
+                background: this.renderer.timings.background,
+                walls: this.sim.walls.length,
+                collisions,
+                previewCollisions: this.sim.collisionChecks,
+                rtt,
+                tilt: this.net.getTiltStats().rate
+            });
+        }
 
-        this.renderer.canvas.width = w;
-        this.renderer.canvas.height = h;
+        requestAnimationFrame((t) => this.loop(t));
+    }
 
-        // Low Res BG
-        this.renderer.bgCanvas.width = window.innerWidth * Config.Visual.BG_SCALE_RES;
-        this.renderer.bgCanvas.height = window.innerHeight * Config.Visual.BG_SCALE_RES;
-        // Restore Blur Context State after resize
-        this.renderer.bgCtx.filter = Config.Visual.BG_BLUR;
+    update(timeScale) {
+        if (this.state === 'countdown') {
+            if (--this.countdownTicks <= 0) {
+                this.state = 'playing';
+                this.input.dropPendingJumps();
+            }
+            this.updatePauseScreen();
+            return;
+        }
+        if (this.state !== 'playing') return;
 
-        // 2. World Dimensions
-        this.worldWidth = w / Config.Visual.ZOOM;
-        this.worldHeight = h / Config.Visual.ZOOM;
+        const checks = this.sim.collisionChecks;
+        this.bots.forEach(bot => bot.update());
+        this.sim.collisionChecks = checks; // Bot lookahead isn't load from the world itself
+        this.sim.step(timeScale);
+        if (this.state !== 'playing') return; // The last player went out this tick
+        this.updatePowerUpHUD();
+
+        // Ghost
+        if (this.sim.isSolo()) {
+            if (this.sim.tick % Config.Ghost.SAMPLE_INTERVAL === 0) this.recordGhostSample();
+            if (this.ghost) this.updateGhostDelta(Math.floor(-this.sim.runPlayers[0].y / this.sim.scoreDivisor));
+        }
+    }
 
-        // 3. Scale Entities if recovering from previous state
-        if (this.state !== 'start' && oldWorldW > 0) {
-            const ratio = this.worldWidth / oldWorldW;
-            this.player.resize(ratio);
-            this.tide.y *= ratio;
-            this.camera.y *= ratio;
-            this.levelGen.highestY *= ratio;
-            this.scoreDivisor *= ratio;
-            this.walls.forEach(w => {
-                w.x *= ratio; w.y *= ratio; w.w *= ratio; w.h *= ratio;
+    /**
+     * Lists active power-ups with their remaining time. Only touches the DOM when the text changes.
+     */
+    updatePowerUpHUD() {
+        const items = [];
+        const seconds = (ticks) => (ticks / 60).toFixed(1);
+
+        if (this.sim.tideFrozenTicks > 0) items.push({ type: 'freeze', text: `❄ TIDE ${seconds(this.sim.tideFrozenTicks)}s` });
+        this.sim.runPlayers.forEach(p => {
+            if (!p.alive) return;
+            const who = this.sim.isSolo() ? '' : `${p.name} `;
+            if (p.glueTicks > 0) items.push({ type: 'glue', text: `● ${who}GLUE ${seconds(p.glueTicks)}s` });
+            if (p.airJumps > 0) items.push({ type: 'air_jump', text: `⇑ ${who}AIR JUMP ×${p.airJumps}` });
+        });
+
+        const key = items.map(item => item.text).join('|');
+        if (key === this.powerUpsKey) return;
+        this.powerUpsKey = key;
+
+        this.powerUpsEl.innerHTML = '';
+        items.forEach(item => {
+            const chip = document.createElement('span');
+            chip.className = 'powerup';
+            chip.style.color = Config.Colors.PICKUPS[item.type];
+            chip.textContent = item.text;
+            this.powerUpsEl.appendChild(chip);
+        });
+    }
+
+    /**
+     * Streams the world to spectators, along with what only the host knows:
+     * the run state, the preview horizon and where each player is aiming.
+     */
+    sendSnapshot() {
+        const snapshot = { type: 'snapshot', state: this.state, preview: this.previewTicks, ...this.sim.snapshot() };
+        snapshot.players.forEach((s, i) => {
+            const aim = this.getAim(this.sim.players[i]);
+            s.aim = [+aim.angle.toFixed(3), Math.round(aim.magnitude), aim.mode];
+        });
+        this.net.sendToSpectators(snapshot);
+    }
+
+    /**
+     * Lists seated players on the connection screen.
+     */
+    renderLobby() {
+        this.lobbyEl.innerHTML = '';
+        this.sim.players.filter(p => !this.isBot(p)).forEach(p => {
+            const client = this.net.clients.get(p.id);
+            const chip = document.createElement('span');
+            chip.className = 'player-chip';
+            chip.classList.toggle('lost', p.connection === 'lost');
+            chip.style.color = p.color;
+            chip.textContent = p.name;
+            if (p.connection === 'lost') chip.textContent += ' · lost';
+            else if (client && client.rtt !== null) chip.textContent += ` · ${Math.round(client.rtt)}ms`;
+            this.lobbyEl.appendChild(chip);
+        });
+
+        if (this.net.spectators.size > 0) {
+            const chip = document.createElement('span');
+            chip.className = 'player-chip spectators';
+            chip.textContent = `👁 ${this.net.spectators.size}`;
+            this.lobbyEl.appendChild(chip);
+        }
+
+        this.renderSeats();
+    }
+
+    /**
+     * Lists seated controllers in the seats panel, each with a kick button.
+     */
+    renderSeats() {
+        this.seatListEl.innerHTML = '';
+        const seated = this.sim.players.filter(p => !this.isBot(p));
+        seated.forEach(p => {
+            const client = this.net.clients.get(p.id);
+            const row = document.createElement('li');
+            row.style.color = p.color;
+            row.textContent = `${p.name} · ${p.connection}`;
+            if (p.connection === 'online' && client && client.rtt !== null) row.textContent += ` · ${Math.round(client.rtt)}ms`;
+            if (client) row.textContent += ` · ${Math.round(client.tiltRate)} tilt/s`;
+
+            const kick = document.createElement('button');
+            kick.className = 'btn-secondary kick-btn';
+            kick.textContent = 'Kick';
+            kick.addEventListener('click', () => this.net.kick(p.id));
+            row.appendChild(kick);
+            this.seatListEl.appendChild(row);
+        });
+        if (seated.length === 0) {
+            const row = document.createElement('li');
+            row.textContent = 'No controllers yet';
+            this.seatListEl.appendChild(row);
+        }
+
+        this.lockBtn.textContent = this.net.locked ? '🔒 Unlock' : 'Lock';
+        this.seatsBtn.textContent = this.net.locked ? '🔒' : '👥';
+    }
+
+    /**
+     * Rebuilds the per-player height labels (hidden in single player).
+     */
+    renderScoreboard() {
+        this.playerScoresEl.innerHTML = '';
+        this.playerScoresEl.classList.toggle('hidden', this.sim.players.length < 2);
+        this.sim.players.forEach(p => {
+            const label = document.createElement('div');
+            label.className = 'player-score';
+            label.style.color = p.color;
+            label.dataset.slot = p.slot;
+            this.playerScoresEl.appendChild(label);
+        });
+        this.updateScoreboard();
+    }
+
+    updateScoreboard() {
+        this.sim.players.forEach(p => {
+            const label = this.playerScoresEl.querySelector(`[data-slot="${p.slot}"]`);
+            if (!label) return;
+            label.textContent = `${p.name} ${p.score}m${p.connection === 'lost' ? ' ⚠' : ''}`;
+            label.classList.toggle('out', !p.alive);
+        });
+    }
+
+    /**
+     * Fills the game-over standings, last player standing first.
+     */
+    renderResults() {
+        this.resultsEl.innerHTML = '';
+        this.resultsEl.classList.toggle('hidden', this.sim.isSolo());
+        [...this.sim.eliminated].reverse().forEach(({ player, score }) => {
+            const row = document.createElement('li');
+            row.style.color = player.color;
+            row.textContent = `${player.name} — ${score}m`;
+            this.resultsEl.appendChild(row);
+        });
+    }
+
+    /**
+     * Puts qualifying results on the leaderboard and asks their phones for a name.
+     */
+    recordScores() {
+        this.newEntryIds = [];
+        if (this.input.replay || this.bots.length > 0) return; // Playback and bot runs are not records
+
+        const date = new Date().toISOString();
+        const added = [];
+        this.sim.runPlayers.forEach(player => {
+            const entry = this.leaderboard.add({
+                name: player.name,
+                score: player.score,
+                height: player.height,
+                date,
+                seed: this.seed,
+                difficulty: this.difficulty.name
+            });
+            if (entry) added.push({ entry, player });
+        });
+
+        // Ranks are only final once everyone from this run is in
+        added.forEach(({ entry, player }) => {
+            this.newEntryIds.push(entry.id);
+            if (player.id === InputManager.LOCAL_ID) return; // Keyboard players keep their seat name
+            this.pendingNames.set(entry.id, player.id);
+            this.sendNamePrompt(entry.id, player.id);
+        });
+        this.renderLeaderboards();
+    }
+
+    /**
+     * @param {string} entryId - Leaderboard entry
+     * @param {string} clientId - Controller to ask
+     */
+    sendNamePrompt(entryId, clientId) {
+        const rank = this.leaderboard.rankOf(entryId);
+        if (!rank) return;
+        this.net.send({ type: 'name_prompt', entryId, rank, score: this.leaderboard.entries[rank - 1].score }, clientId);
+    }
+
+    /**
+     * @param {string} entryId
+     * @param {string} name
+     * @param {string} clientId - Sender; only the player who set the score may name it
+     */
+    onNameEntered(entryId, name, clientId) {
+        if (this.pendingNames.get(entryId) !== clientId) return;
+        this.pendingNames.delete(entryId);
+        if (this.leaderboard.rename(entryId, name)) this.renderLeaderboards();
+    }
+
+    /**
+     * Fills the leaderboard on the game-over and connection screens.
+     */
+    renderLeaderboards() {
+        this.leaderboardEls.forEach(list => {
+            list.innerHTML = '';
+            list.classList.toggle('hidden', this.leaderboard.entries.length === 0);
+
+            this.leaderboard.entries.forEach(e => {
+                const row = document.createElement('li');
+                row.classList.toggle('new', this.newEntryIds.includes(e.id));
+
+                const name = document.createElement('span');
+                name.className = 'lb-name';
+                name.textContent = e.name;
+                const score = document.createElement('span');
+                score.className = 'lb-score';
+                score.textContent = `${e.score}m`;
+                const meta = document.createElement('span');
+                meta.className = 'lb-meta';
+                const preset = Config.Difficulty.Presets[e.difficulty];
+                meta.textContent = `${preset ? preset.label : e.difficulty} · ${e.seed} · ${new Date(e.date).toLocaleDateString()}`;
+
+                row.append(name, score, meta);
+                list.appendChild(row);
             });
-        }
+        });
+    }
 
-        // 4. Update Size-Dependent Constants
-        this.player.radius = this.worldWidth * Config.Ratios.PLAYER_RADIUS;
-        this.gravity = this.worldWidth * Config.Ratios.GRAVITY;
-        this.maxJumpForce = this.worldWidth * Config.Ratios.MAX_JUMP_FORCE;
-        this.jumpForceMult = this.worldWidth * Config.Ratios.JUMP_FORCE_MULT;
-        this.tide.speed = this.worldWidth * Config.Ratios.TIDE_SPEED;
+    recordGhostSample() {
+        const player = this.sim.runPlayers[0];
+        this.ghostSamples.push([
+            +(player.x / this.sim.worldWidth).toFixed(4),
+            +(player.y / this.sim.worldWidth).toFixed(4)
+        ]);
+    }
 
-        if (this.state === 'start') this.resetEntities();
+    /**
+     * Shows how far ahead (+) or behind (-) the ghost the player currently is.
+     * @param {number} height - Current height in meters
+     */
+    updateGhostDelta(height) {
+        const pos = this.ghost.positionAt(this.sim.tick, this.sim.worldWidth);
+        const delta = height - Math.floor(-pos.y / this.sim.scoreDivisor);
+        if (delta === this.ghostDelta) return;
+
+        this.ghostDelta = delta;
+        this.ghostDeltaEl.textContent = `GHOST ${delta >= 0 ? '+' : ''}${delta}m`;
+        this.ghostDeltaEl.classList.toggle('behind', delta < 0);
     }
 
-    loop(timestamp) {
-        this.resize(); // Check resize every frame
+    /**
+     * Keeps this run as the seed's ghost if it beat the previous best.
+     */
+    saveGhost() {
+        if (this.input.replay || this.bots.length > 0) return; // Playback and bot runs are not records
+        if (!this.sim.isSolo()) return;
+        if (this.ghost && this.sim.score <= this.ghost.score) return;
+
+        Ghost.save(this.seed, this.difficulty.name, this.sim.levelGen.libraryId, {
+            score: this.sim.score,
+            interval: Config.Ghost.SAMPLE_INTERVAL,
+            samples: this.ghostSamples
+        });
+    }
 
-        if (!this.lastTime) this.lastTime = timestamp;
-        let dt = timestamp - this.lastTime;
-        if (dt > 100) dt = 100; // Cap dt for pausing/tab switching
-        this.lastTime = timestamp;
+    gameOver() {
+        this.state = 'gameover';
+        if (this.demo) {
+            this.scheduleDemo(); // Attract mode just goes again: no results, records or phones to tell
+            return;
+        }
 
-        const timeScale = dt / (1000 / 60);
+        this.updatePauseScreen();
+        this.finalScoreEl.textContent = this.sim.score + 'm';
+        // The tower depends on the chunk set too: say which one, so runs are comparable
+        const library = this.sim.levelGen.libraryId;
+        this.finalSeedEl.textContent = `${this.seed} · ${library ? 'chunks ' + library : 'no chunks'}`;
+        this.finalDifficultyEl.textContent = this.difficulty.label;
+        this.lastReplay = this.recorder.finish({ score: this.sim.score, ticks: this.sim.tick });
+        this.saveGhost();
+        this.renderResults();
+        this.gameOverScreen.classList.remove('hidden');
+        this.net.send({ type: 'gameover' });
+        this.recordScores();
+        if (this.botStats) this.recordBotRun();
+        else if (this.sim.players.length === 0) this.scheduleDemo(); // Everyone left mid-run
+    }
+}
 
-        this.update(timeScale);
-        this.renderer.draw(this);
+// ==========================================
+// 6. CONTROLLER APP (PHONE SIDE)
+// ==========================================
 
-        requestAnimationFrame((t) => this.loop(t));
+/**
+ * Turns raw device orientation into a tilt vector relative to the player's
+ * calibrated neutral pose, with dead zone, sensitivity and response curve.
+ * Settings persist on the phone.
+ */
+class TiltCalibration {
+    constructor() {
+        this.settings = {
+            sensitivity: Config.Visual.TILT_SENSITIVITY,
+            deadZone: Config.Controller.DEAD_ZONE,
+            curve: Config.Controller.CURVE
+        };
+        this.neutral = {}; // Screen orientation angle -> { x, y } resting pose in degrees
+        this.load();
     }
 
-    update(timeScale) {
-        if (this.state !== 'playing') return;
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(Config.Controller.STORAGE_KEY));
+            if (saved) {
+                Object.assign(this.settings, saved.settings);
+                this.neutral = saved.neutral || {};
+            }
+        } catch (e) {
+            console.warn('Could not load tilt settings:', e);
+        }
+    }
 
-        // Update Tide
-        this.tide.update(timeScale, this.player.y, this.worldWidth, this.worldHeight);
+    save() {
+        try {
+            localStorage.setItem(Config.Controller.STORAGE_KEY, JSON.stringify({ settings: this.settings, neutral: this.neutral }));
+        } catch (e) {
+            console.warn('Could not save tilt settings:', e);
+        }
+    }
 
-        // Check Tide Death
-        if (this.player.y + this.player.radius > this.tide.y + this.worldWidth * Config.Ratios.TIDE_COLLISION_THRESHOLD) {
-            this.gameOver();
+    /**
+     * Current screen rotation in degrees (0, 90, 180, 270).
+     * @returns {number}
+     */
+    static screenAngle() {
+        const angle = (screen.orientation && screen.orientation.angle) ?? window.orientation ?? 0;
+        return ((angle % 360) + 360) % 360;
+    }
+
+    /**
+     * Rotates device angles so x/y follow the screen, whichever way the phone is held.
+     * @param {number} gamma - Left/right tilt in degrees
+     * @param {number} beta - Front/back tilt in degrees
+     * @param {number} angle - Screen rotation in degrees
+     * @returns {{x: number, y: number}}
+     */
+    static toScreenAxes(gamma, beta, angle) {
+        switch (angle) {
+            case 90: return { x: beta, y: -gamma };
+            case 180: return { x: -gamma, y: -beta };
+            case 270: return { x: -beta, y: gamma };
+            default: return { x: gamma, y: beta };
         }
+    }
 
-        // Physics
-        this.updatePhysics(timeScale);
+    /**
+     * Stores the average of the given readings as the neutral pose for the current screen rotation.
+     * @param {{gamma: number, beta: number}[]} samples
+     */
+    calibrate(samples) {
+        if (samples.length === 0) return;
 
-        // Camera
-        const targetCamY = this.player.y - this.worldHeight * 0.6;
-        const maxCamY = this.tide.y - this.worldHeight + this.worldHeight * Config.Ratios.CAMERA_LIMIT_PADDING;
-        this.camera.update(targetCamY, timeScale, maxCamY);
+        const angle = TiltCalibration.screenAngle();
+        const sum = samples.reduce((acc, s) => {
+            const p = TiltCalibration.toScreenAxes(s.gamma, s.beta, angle);
+            return { x: acc.x + p.x, y: acc.y + p.y };
+        }, { x: 0, y: 0 });
 
-        // Score
-        const h = Math.floor(-this.player.y / this.scoreDivisor);
-        if (h > this.score) {
-            this.score = h;
-            this.scoreEl.textContent = this.score + 'm';
-        }
+        this.neutral[angle] = { x: sum.x / samples.length, y: sum.y / samples.length };
+        this.save();
+    }
 
-        // Level Gen
-        if (this.camera.y < this.levelGen.highestY + this.worldHeight * Config.Ratios.GEN_TRIGGER_DIST) {
-            this.walls.push(this.levelGen.generateNext(this.worldWidth));
-        }
-        // Cleanup walls below camera
-        this.walls = this.walls.filter(w => w.y < this.camera.y + this.worldHeight + this.worldHeight * Config.Ratios.CLEANUP_DIST);
+    /**
+     * @param {number} gamma
+     * @param {number} beta
+     * @returns {{x: number, y: number, magnitude: number, angle: number}} Tilt vector (magnitude 0..100)
+     */
+    toVector(gamma, beta) {
+        const angle = TiltCalibration.screenAngle();
+        const raw = TiltCalibration.toScreenAxes(gamma, beta, angle);
+        const neutral = this.neutral[angle] || { x: 0, y: 0 };
+
+        const dx = raw.x - neutral.x;
+        const dy = raw.y - neutral.y;
+        const direction = Math.atan2(dy, dx);
+
+        // Degrees past the dead zone, scaled and shaped into 0..100
+        const tilt = Math.max(0, Math.sqrt(dx * dx + dy * dy) - this.settings.deadZone);
+        const linear = Math.min(tilt * this.settings.sensitivity / 100, 1);
+        const magnitude = Math.pow(linear, this.settings.curve) * 100;
+
+        return {
+            x: Math.cos(direction) * magnitude,
+            y: Math.sin(direction) * magnitude,
+            magnitude,
+            angle: direction
+        };
     }
+}
 
-    updatePhysics(timeScale) {
-        if (this.player.state !== 'air' && this.player.state !== 'sticky') return;
+/**
+ * Room code entry for phones that can't scan the QR code (?join, or ?room=<code>
+ * and &key=<PIN> to fill it in). A code is checked for typos on the phone, then
+ * its host is looked up before handing over to the controller page at
+ * ?host=<peer id>&key=<PIN>, where the host checks the PIN.
+ */
+class JoinScreen {
+    /**
+     * @param {string|null} code - Room code to fill in
+     * @param {string|null} key - PIN to fill in; with a code, joins right away
+     */
+    constructor(code, key) {
+        this.transport = Transport.fromUrl();
+        this.overlay = document.getElementById('join-overlay');
+        this.input = document.getElementById('room-input');
+        this.pinInput = document.getElementById('pin-input');
+        this.button = document.getElementById('join-btn');
+        this.errorEl = document.getElementById('join-error');
+        this.probe = null; // Peer looking up a host
 
-        const subStepDt = (1 / Config.Visual.SUBSTEPS) * timeScale;
+        document.getElementById('controller-view').classList.remove('hidden');
+        this.overlay.classList.remove('hidden');
 
-        // Apply forces
-        this.player.updatePhysics(timeScale, this.gravity, Config.Visual.FRICTION);
+        this.button.addEventListener('click', () => this.submit());
+        [this.input, this.pinInput].forEach(input => input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.submit();
+        }));
 
-        // Substeps for collision accuracy
-        for (let i = 0; i < Config.Visual.SUBSTEPS; i++) {
-            this.player.x += this.player.vx * subStepDt;
-            this.player.y += this.player.vy * subStepDt;
+        this.input.value = code || '';
+        this.pinInput.value = key || '';
+        if (code && key) this.submit();
+        else (code ? this.pinInput : this.input).focus();
+    }
 
-            // Wall Collisions
-            let collided = false;
-            for (let w of this.walls) {
-                const col = w.checkCollision(this.player);
-                if (col) {
-                    if (w.resolve(this.player, col)) {
-                        collided = true; // Stuck
-                        break;
-                    }
-                }
-            }
-            if (collided) break;
+    submit() {
+        if (this.probe) return;
 
-            this.player.checkBounds(this.worldWidth);
+        const code = RoomCode.normalize(this.input.value);
+        const error = RoomCode.validate(code);
+        if (error) {
+            this.showError(error);
+            return;
+        }
+        const pin = this.pinInput.value.trim();
+        if (!new RegExp(`^\\d{${Config.Auth.PIN_LENGTH}}$`).test(pin)) {
+            this.showError(`Type the ${Config.Auth.PIN_LENGTH}-digit PIN shown next to the room code.`);
+            return;
         }
 
+        this.input.value = code;
+        this.showError('');
+        this.setBusy(true);
+        this.lookup(code, pin);
     }
 
-    gameOver() {
-        this.state = 'gameover';
-        this.finalScoreEl.textContent = this.score + 'm';
-        this.gameOverScreen.classList.remove('hidden');
-        this.net.send({ type: 'gameover' });
+    /**
+     * Connects to the room's peer ID once to see whether a host is there.
+     * @param {string} code - Valid room code
+     * @param {string} pin - Session PIN, passed on to the controller page
+     */
+    lookup(code, pin) {
+        const hostId = RoomCode.toPeerId(code);
+        const probe = Transport.createPeer(this.transport);
+        this.probe = probe;
+
+        const fail = (message) => {
+            if (this.probe !== probe) return;
+            this.probe = null;
+            clearTimeout(timer);
+            probe.destroy();
+            this.setBusy(false);
+            this.showError(message);
+        };
+        const timer = setTimeout(() => fail(`Room ${code} didn't answer. Check your connection and try again.`), Config.Rooms.LOOKUP_TIMEOUT);
+
+        probe.on('open', () => {
+            const conn = probe.connect(hostId, { reliable: true });
+            conn.on('open', () => {
+                if (this.probe !== probe) return;
+                clearTimeout(timer);
+                probe.destroy();
+                window.location.replace(`${this.transport.page}?host=${hostId}&key=${pin}${this.transport.query}`);
+            });
+        });
+        probe.on('error', (err) => {
+            if (err.type === 'peer-unavailable') fail(`There is no game with code ${code}. Check the big screen.`);
+            else fail(`Couldn't reach the game server (${err.type || err}).`);
+        });
     }
-}
 
-// ==========================================
-// 6. CONTROLLER APP (PHONE SIDE)
-// ==========================================
+    /**
+     * @param {boolean} busy
+     */
+    setBusy(busy) {
+        this.button.disabled = busy;
+        this.button.textContent = busy ? 'LOOKING...' : 'JOIN';
+    }
+
+    /**
+     * @param {string} message - '' hides the error
+     */
+    showError(message) {
+        this.errorEl.textContent = message;
+        this.errorEl.classList.toggle('hidden', !message);
+    }
+}
 
 class ControllerApp {
-    constructor(hostId) {
+    /**
+     * @param {string} hostId
+     * @param {string|null} key - Session key or PIN from the join link
+     */
+    constructor(hostId, key) {
         this.setupUI();
         this.net = new NetworkManager();
 
@@ -1105,9 +5935,29 @@ class ControllerApp {
         this.startOverlay = document.getElementById('start-overlay');
         this.restartOverlay = document.getElementById('restart-overlay');
         this.restartBtn = document.getElementById('phone-restart-btn');
+        this.connStatus = document.getElementById('conn-status');
+        this.pauseBtn = document.getElementById('pause-btn');
+        this.calibrateOverlay = document.getElementById('calibrate-overlay');
         this.tiltVector = { x: 0, y: 0, magnitude: 0, angle: 0 };
-
-        this.init(hostId);
+        this.calibration = new TiltCalibration();
+        this.lastOrientation = { gamma: 0, beta: 0 };
+        this.lastSentTilt = null; // Tilt vector of the last sample sent
+        this.lastSentAt = 0;
+        this.started = false;
+
+        // Hold-to-charge Jump
+        this.chargeMeter = document.getElementById('charge-meter');
+        this.chargeFill = document.getElementById('charge-fill');
+        this.jumpMode = this.loadJumpMode();
+        this.chargeStart = null; // performance.now() when the current charge began
+        this.difficultyInput = document.getElementById('difficulty-input');
+        this.volumeInput = document.getElementById('volume-input');
+        this.muteInput = document.getElementById('mute-input');
+        this.nameOverlay = document.getElementById('name-overlay');
+        this.nameInput = document.getElementById('name-input');
+        this.nameEntryId = null; // Leaderboard entry the host asked us to name
+
+        this.init(hostId, key);
     }
 
     setupUI() {
@@ -1115,26 +5965,193 @@ class ControllerApp {
         document.getElementById('host-view').classList.add('hidden'); // Ensure host hidden
     }
 
-    init(hostId) {
-        this.net.initController(hostId);
+    init(hostId, key) {
+        this.net.initController(hostId, 'controller', key);
 
         this.net.on('connected', () => {
-            this.startOverlay.style.display = 'flex';
+            if (!this.started) this.startOverlay.style.display = 'flex';
         });
 
+        this.net.on('status', (status, rtt) => this.updateConnectionStatus(status, rtt));
+
         this.net.on('data', (d) => {
             if (d.type === 'vibrate' && navigator.vibrate) {
                 navigator.vibrate(d.duration);
             } else if (d.type === 'gameover') {
                 this.restartOverlay.classList.remove('hidden');
+            } else if (d.type === 'paused') {
+                this.pauseBtn.textContent = d.paused ? '▶' : 'II';
+                this.pauseBtn.classList.toggle('active', d.paused);
+            } else if (d.type === 'welcome') {
+                // Tint the controller in this seat's color
+                document.documentElement.style.setProperty('--primary-color', d.color);
+                document.documentElement.style.setProperty('--primary-glow', d.color + '80');
+                this.applyCapabilities();
+                this.net.send({ type: 'controls', mode: this.jumpMode });
+            } else if (d.type === 'difficulty') {
+                this.difficultyInput.value = d.preset;
+            } else if (d.type === 'audio') {
+                this.showAudio(d.volume, d.muted);
+            } else if (d.type === 'name_prompt') {
+                this.promptName(d);
             }
         });
 
+        this.net.on('rejected', (reason, message) => {
+            this.startOverlay.style.display = 'flex';
+            const btn = document.getElementById('enable-sensors-btn');
+            btn.textContent = message;
+            btn.disabled = true;
+            this.connStatus.textContent = 'Disconnected';
+            this.connStatus.className = 'reconnecting';
+        });
+
         document.getElementById('enable-sensors-btn').addEventListener('click', () => this.requestPermissions());
         this.restartBtn.addEventListener('click', () => {
             this.net.send({ type: 'restart' });
             this.restartOverlay.classList.add('hidden');
         });
+        this.pauseBtn.addEventListener('click', () => this.net.send({ type: 'pause' }));
+        document.getElementById('name-submit-btn').addEventListener('click', () => this.submitName());
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.submitName();
+        });
+        this.setupCalibrationUI();
+    }
+
+    /**
+     * Binds the calibration screen: neutral pose capture plus the tilt settings sliders.
+     */
+    setupCalibrationUI() {
+        const settings = this.calibration.settings;
+        const sliders = {
+            sensitivity: document.getElementById('sensitivity-input'),
+            deadZone: document.getElementById('deadzone-input'),
+            curve: document.getElementById('curve-input')
+        };
+
+        Object.entries(sliders).forEach(([key, input]) => {
+            const output = document.querySelector(`output[for="${input.id}"]`);
+            input.value = settings[key];
+            output.textContent = settings[key];
+            input.addEventListener('input', () => {
+                settings[key] = parseFloat(input.value);
+                output.textContent = input.value;
+                this.calibration.save();
+            });
+        });
+
+        const calibrateBtn = document.getElementById('calibrate-btn');
+        calibrateBtn.addEventListener('click', () => {
+            calibrateBtn.disabled = true;
+            calibrateBtn.textContent = 'HOLD STILL...';
+
+            const samples = [];
+            const collect = (e) => samples.push({ gamma: e.gamma || 0, beta: e.beta || 0 });
+            window.addEventListener('deviceorientation', collect);
+
+            setTimeout(() => {
+                window.removeEventListener('deviceorientation', collect);
+                if (samples.length === 0) samples.push(this.lastOrientation);
+                this.calibration.calibrate(samples);
+                calibrateBtn.disabled = false;
+                calibrateBtn.textContent = 'SET NEUTRAL';
+            }, Config.Controller.CALIBRATION_TIME);
+        });
+
+        const jumpModeInput = document.getElementById('jump-mode-input');
+        jumpModeInput.value = this.jumpMode;
+        this.chargeMeter.classList.toggle('hidden', this.jumpMode !== 'charge');
+        jumpModeInput.addEventListener('change', () => this.setJumpMode(jumpModeInput.value));
+
+        // Difficulty is the host's; the phone only asks for a change and shows what the host picked
+        Object.entries(Config.Difficulty.Presets).forEach(([name, preset]) => this.difficultyInput.add(new Option(preset.label, name)));
+        this.difficultyInput.addEventListener('change', () => {
+            this.net.send({ type: 'set_difficulty', preset: this.difficultyInput.value });
+        });
+
+        // Sound plays on the host; the phone is its remote volume knob
+        const sendAudio = () => {
+            this.showAudio(parseFloat(this.volumeInput.value), this.muteInput.checked);
+            this.net.send({ type: 'set_audio', volume: parseFloat(this.volumeInput.value), muted: this.muteInput.checked });
+        };
+        this.showAudio(Config.Audio.VOLUME, false);
+        this.volumeInput.addEventListener('change', sendAudio);
+        this.volumeInput.addEventListener('input', () => this.showAudio(parseFloat(this.volumeInput.value), this.muteInput.checked));
+        this.muteInput.addEventListener('change', sendAudio);
+
+        document.getElementById('calibrate-done-btn').addEventListener('click', () => {
+            this.calibrateOverlay.classList.add('hidden');
+        });
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            this.calibrateOverlay.classList.remove('hidden');
+        });
+    }
+
+    /**
+     * Asks for a leaderboard name, on top of the play-again screen.
+     * @param {{entryId: string, rank: number, score: number}} prompt
+     */
+    promptName(prompt) {
+        this.nameEntryId = prompt.entryId;
+        document.getElementById('name-rank').textContent = `#${prompt.rank} · ${prompt.score}m`;
+        try {
+            this.nameInput.value = localStorage.getItem(Config.Leaderboard.NAME_STORAGE_KEY) || '';
+        } catch (e) {
+            this.nameInput.value = '';
+        }
+        this.nameOverlay.classList.remove('hidden');
+        this.nameInput.focus();
+    }
+
+    submitName() {
+        const name = Leaderboard.cleanName(this.nameInput.value);
+        if (!name || !this.nameEntryId) return;
+
+        this.net.send({ type: 'name', entryId: this.nameEntryId, name });
+        this.nameEntryId = null;
+        this.nameOverlay.classList.add('hidden');
+        this.nameInput.blur();
+        try {
+            localStorage.setItem(Config.Leaderboard.NAME_STORAGE_KEY, name);
+        } catch (e) {
+            console.warn('Could not save name:', e);
+        }
+    }
+
+    /**
+     * Shows the host's sound settings.
+     * @param {number} volume - 0..1
+     * @param {boolean} muted
+     */
+    showAudio(volume, muted) {
+        this.volumeInput.value = volume;
+        this.muteInput.checked = muted;
+        document.querySelector('output[for="volume-input"]').textContent = Math.round(volume * 100);
+    }
+
+    loadJumpMode() {
+        try {
+            return localStorage.getItem(Config.Controls.STORAGE_KEY) || Config.Controls.DEFAULT_MODE;
+        } catch (e) {
+            return Config.Controls.DEFAULT_MODE;
+        }
+    }
+
+    /**
+     * Switches the jump control scheme and tells the host.
+     * @param {string} mode - 'tilt' | 'charge'
+     */
+    setJumpMode(mode) {
+        if (this.chargeStart !== null) this.releaseCharge();
+        this.jumpMode = mode;
+        this.chargeMeter.classList.toggle('hidden', mode !== 'charge');
+        this.net.send({ type: 'controls', mode });
+        try {
+            localStorage.setItem(Config.Controls.STORAGE_KEY, mode);
+        } catch (e) {
+            console.warn('Could not save jump mode:', e);
+        }
     }
 
     requestPermissions() {
@@ -1150,36 +6167,105 @@ class ControllerApp {
         }
     }
 
+    /**
+     * @param {string} status - connecting | connected | reconnecting
+     * @param {number|null} rtt - Round trip to the host in ms
+     */
+    updateConnectionStatus(status, rtt) {
+        const labels = {
+            connecting: 'Connecting...',
+            connected: typeof rtt === 'number' ? `Connected · ${Math.round(rtt)} ms · ${Math.round(this.net.tiltRate)} tilt/s` : 'Connected',
+            reconnecting: 'Reconnecting...'
+        };
+        this.connStatus.textContent = labels[status];
+        this.connStatus.className = status;
+    }
+
+    /**
+     * Hides the optional features the host did not agree to.
+     */
+    applyCapabilities() {
+        const has = (capability) => this.net.capabilities.includes(capability);
+        this.pauseBtn.classList.toggle('hidden', !has('pause'));
+        document.getElementById('jump-mode-input').disabled = !has('charge');
+        if (!has('charge') && this.jumpMode === 'charge') {
+            if (this.chargeStart !== null) this.releaseCharge();
+            this.jumpMode = 'tilt';
+            this.chargeMeter.classList.add('hidden');
+        }
+    }
+
     start() {
+        this.started = true;
         this.startOverlay.style.display = 'none';
+        this.calibrateOverlay.classList.remove('hidden');
 
         // Listen to Sensors
         window.addEventListener('deviceorientation', (e) => this.handleOrientation(e));
+        setInterval(() => this.sendTilt(), 1000 / Config.Network.TILT_RATE);
 
-        // Listen to Jump
-        const sendJump = (e) => {
+        // Listen to Jump (charge mode fires on release)
+        const press = (e) => {
+            e.preventDefault();
+            if (this.jumpMode === 'charge') this.startCharge();
+            else this.net.send({ type: 'jump', ...Protocol.packTilt(this.tiltVector) });
+        };
+        const release = (e) => {
+            if (this.chargeStart === null) return;
             e.preventDefault();
-            this.net.send({ type: 'jump' });
+            this.releaseCharge();
+        };
+        this.jumpBtn.addEventListener('touchstart', press);
+        this.jumpBtn.addEventListener('mousedown', press);
+        ['touchend', 'touchcancel', 'mouseup', 'mouseleave'].forEach(type => this.jumpBtn.addEventListener(type, release));
+    }
+
+    /**
+     * The host measures the real charge; the meter here only mirrors it locally.
+     */
+    startCharge() {
+        if (this.chargeStart !== null) return;
+        this.chargeStart = performance.now();
+        this.net.send({ type: 'jump_press' });
+
+        const animate = () => {
+            if (this.chargeStart === null) return;
+            const charge = Math.min(1, (performance.now() - this.chargeStart) / (Config.Controls.CHARGE_TIME * 1000));
+            this.chargeFill.style.width = `${charge * 100}%`;
+            requestAnimationFrame(animate);
         };
-        this.jumpBtn.addEventListener('touchstart', sendJump);
-        this.jumpBtn.addEventListener('mousedown', sendJump);
+        animate();
+    }
+
+    releaseCharge() {
+        this.chargeStart = null;
+        this.chargeFill.style.width = '0%';
+        this.net.send({ type: 'jump_release', ...Protocol.packTilt(this.tiltVector) });
     }
 
     handleOrientation(e) {
         const gamma = e.gamma || 0;
         const beta = e.beta || 0;
 
-        const x = gamma * Config.Visual.TILT_SENSITIVITY;
-        const y = beta * Config.Visual.TILT_SENSITIVITY;
+        this.lastOrientation = { gamma, beta };
+        this.tiltVector = this.calibration.toVector(gamma, beta);
 
-        const maxMag = 100;
-        const mag = Math.min(Math.sqrt(x * x + y * y), maxMag);
-        const angle = Math.atan2(y, x);
-
-        this.tiltVector = { x, y, magnitude: mag, angle };
+        this.updateUI(); // Sent by sendTilt() at a fixed rate
+    }
 
-        this.updateUI();
-        this.net.send({ type: 'tilt', vector: this.tiltVector });
+    /**
+     * Sends the current tilt if it moved noticeably since the last sample, or if the
+     * last one is getting old (the tilt channel may have lost it).
+     */
+    sendTilt() {
+        const now = performance.now();
+        const last = this.lastSentTilt;
+        const moved = !last || Math.hypot(this.tiltVector.x - last.x, this.tiltVector.y - last.y) >= Config.Network.TILT_THRESHOLD;
+        if (!moved && now - this.lastSentAt < Config.Network.TILT_REFRESH) return;
+
+        this.net.sendTilt(this.tiltVector);
+        this.lastSentTilt = this.tiltVector;
+        this.lastSentAt = now;
     }
 
     updateUI() {
@@ -1189,5 +6275,154 @@ class ControllerApp {
     }
 }
 
-// Boot the Game
-new Game().init();
+// ==========================================
+// 7. SPECTATOR VIEW
+// ==========================================
+
+/**
+ * Read-only view of someone else's game (?watch=<host id>). The host streams
+ * world snapshots a few times a second; they are drawn with the host's Renderer,
+ * interpolated between the last two. A spectator has no seat and sends nothing
+ * but the handshake and heartbeat.
+ */
+class SpectatorApp {
+    constructor(hostId) {
+        this.net = new NetworkManager();
+        this.renderer = new Renderer(
+            document.getElementById('gameCanvas'),
+            document.getElementById('bg-canvas')
+        );
+        this.sim = new GameSimulation(); // Holds the latest snapshot, never stepped
+
+        // What the Renderer asks a game for
+        this.ghost = null;
+        this.aims = new Map(); // Player slot -> aim from the last snapshot
+        this.previewTicks = 0;
+
+        // UI Refs
+        this.scoreEl = document.getElementById('score-value');
+        this.pauseScreen = document.getElementById('pause-screen');
+        this.pauseTitleEl = this.pauseScreen.querySelector('h1');
+        this.pauseReasonEl = document.getElementById('pause-reason');
+
+        this.state = null; // Host game state from the last snapshot
+        this.lastSnapshotAt = 0;
+        this.lastWinW = 0;
+        this.lastWinH = 0;
+
+        this.setupUI();
+        this.init(hostId);
+    }
+
+    setupUI() {
+        document.getElementById('host-view').classList.remove('hidden');
+        document.getElementById('connection-screen').classList.add('hidden');
+        document.getElementById('sound-btn').classList.add('hidden');
+        document.getElementById('seats-btn').classList.add('hidden');
+        document.getElementById('score-label').textContent = 'WATCHING';
+        this.showStatus('Connecting', 'Looking for the game...');
+    }
+
+    init(hostId) {
+        this.net.initController(hostId, 'spectator');
+
+        this.net.on('status', (status) => {
+            if (status === 'reconnecting') this.showStatus('Connecting', 'Lost the game, reconnecting...');
+            else if (status === 'connected' && this.state) this.updateStatus();
+        });
+        this.net.on('rejected', (reason, message) => this.showStatus("Can't Watch", message));
+        this.net.on('data', (d) => {
+            if (d.type === 'snapshot') this.onSnapshot(d);
+        });
+
+        this.resize();
+        requestAnimationFrame((t) => this.loop(t));
+    }
+
+    /**
+     * @param {object} snapshot - Validated `snapshot` message
+     */
+    onSnapshot(snapshot) {
+        this.sim.applySnapshot(snapshot);
+        this.lastSnapshotAt = performance.now();
+        this.previewTicks = snapshot.preview;
+        this.aims = new Map(snapshot.players.map(s => [s.slot, { angle: s.aim[0], magnitude: s.aim[1], mode: s.aim[2] }]));
+        this.scoreEl.textContent = snapshot.score + 'm';
+
+        if (snapshot.state !== this.state) {
+            this.state = snapshot.state;
+            this.updateStatus();
+        }
+    }
+
+    /**
+     * @param {Player} player
+     * @returns {{angle: number, magnitude: number, mode: string}}
+     */
+    getAim(player) {
+        return this.aims.get(player.slot) || { angle: 0, magnitude: 0, mode: 'tilt' };
+    }
+
+    /**
+     * @param {Player} player
+     */
+    predictTrajectory(player) {
+        const aim = this.getAim(player);
+        if (this.previewTicks <= 0 || aim.magnitude <= 0) return null;
+        return this.sim.predict(player, aim.angle, aim.magnitude, this.previewTicks);
+    }
+
+    /**
+     * Shows the host's game state over the view (nothing while a run is on).
+     */
+    updateStatus() {
+        if (this.state === 'playing' || this.state === 'countdown') this.showStatus(null);
+        else if (this.state === 'paused') this.showStatus('Paused', 'The game is paused.');
+        else if (this.state === 'gameover') this.showStatus('Game Over', `Score: ${this.sim.score}m`);
+        else this.showStatus('Get Ready', 'Waiting for the next run...');
+    }
+
+    /**
+     * @param {string|null} title - null hides the overlay
+     * @param {string} [text]
+     */
+    showStatus(title, text = '') {
+        this.pauseScreen.classList.toggle('hidden', title === null);
+        if (title === null) return;
+        this.pauseTitleEl.textContent = title;
+        this.pauseReasonEl.textContent = text;
+    }
+
+    resize() {
+        if (window.innerWidth === this.lastWinW && window.innerHeight === this.lastWinH) return;
+
+        this.lastWinW = window.innerWidth;
+        this.lastWinH = window.innerHeight;
+
+        // Snapshots are in world widths, so the next one arrives at the new scale anyway
+        const world = this.renderer.resize(window.innerWidth, window.innerHeight);
+        this.sim.resize(world.width, world.height, true);
+    }
+
+    loop() {
+        this.resize();
+
+        if (this.lastSnapshotAt) {
+            const alpha = Math.min(1, (performance.now() - this.lastSnapshotAt) / Config.Spectators.SNAPSHOT_INTERVAL);
+            this.renderer.draw(this, alpha);
+        }
+
+        requestAnimationFrame((t) => this.loop(t));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node: expose the DOM-free simulation for headless runs and tests
+    module.exports = {
+        Config, EventEmitter, Random, InputManager, Player, Wall, Pickup, Tide, Camera, Difficulty, LevelGenerator,
+        GameSimulation, Bot, Protocol, Transport, LocalPeer, LocalConnection, RoomCode, NetworkManager
+    };
+} else {
+    // Boot the Game
+    new Game().init();
+}
@@ -0,0 +1,98 @@
+// Headless checks of the game rules. Run with: node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameSimulation, Wall } = require('../script.js');
+
+/**
+ * @param {string} seed
+ * @returns {{sim: GameSimulation, player: Player}} A solo run of a desktop-sized world
+ */
+function startRun(seed) {
+    const sim = new GameSimulation(800, 985);
+    const player = sim.addPlayer('test');
+    sim.reset(seed);
+    return { sim, player };
+}
+
+/**
+ * Replaces the generated tower with just the floor, made of the given wall type.
+ * @param {GameSimulation} sim
+ * @param {string} type
+ * @returns {Wall} The new floor
+ */
+function onlyFloor(sim, type) {
+    const floor = sim.walls[0];
+    sim.walls = [new Wall(floor.x, floor.y, floor.w, floor.h, type)];
+    sim.pickups = [];
+    return sim.walls[0];
+}
+
+test('a slime sticks where it lands', () => {
+    const { sim, player } = startRun('sticky');
+    const floor = onlyFloor(sim, 'normal');
+    const contacts = [];
+    sim.on('contact', (p, speed) => contacts.push(speed));
+
+    for (let i = 0; i < 60 && player.state === 'air'; i++) sim.step();
+
+    assert.equal(player.state, 'stuck');
+    assert.equal(player.wall, floor);
+    assert.ok(player.canJump);
+    assert.equal(contacts.length, 1);
+
+    // And stays put
+    const { x, y } = player;
+    for (let i = 0; i < 30; i++) sim.step();
+    assert.deepEqual([player.x, player.y, player.state], [x, y, 'stuck']);
+});
+
+test('a slime bounces off a bouncy wall', () => {
+    const { sim, player } = startRun('bouncy');
+    onlyFloor(sim, 'bouncy');
+    let bounced = false;
+    sim.on('contact', (p) => {
+        bounced = true;
+        assert.equal(p.state, 'air');
+        assert.ok(p.vy < 0, 'moving up after the bounce');
+    });
+
+    for (let i = 0; i < 60 && !bounced; i++) sim.step();
+
+    assert.ok(bounced);
+    assert.equal(player.wall, null);
+});
+
+test('height adds up to the score, the same for the same seed', () => {
+    const climb = () => {
+        const { sim, player } = startRun('demo');
+        const scores = [];
+        sim.on('score', (p) => scores.push(p.score));
+        sim.on('tick', () => {
+            if (player.canJump) sim.jump(player, Math.PI / 3, 80);
+        });
+        while (!sim.over) sim.step();
+        return { sim, player, scores };
+    };
+
+    const { sim, player, scores } = climb();
+    assert.ok(sim.score > 0);
+    assert.equal(sim.score, player.score);
+    assert.equal(scores[scores.length - 1], sim.score);
+    scores.forEach((score, i) => assert.ok(i === 0 || score > scores[i - 1], 'score only goes up'));
+    assert.equal(player.score, player.height + player.bonus);
+
+    assert.equal(climb().sim.score, sim.score);
+});
+
+test('a run without players ends instead of throwing', () => {
+    const sim = new GameSimulation(800, 985);
+    sim.reset('empty');
+    let over = 0;
+    sim.on('over', () => over++);
+
+    sim.step();
+    sim.step();
+
+    assert.ok(sim.over);
+    assert.equal(over, 1);
+});
@@ -0,0 +1,95 @@
+// Same-browser transport and handshake, over Node's BroadcastChannel. Run with: node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Protocol, Transport, LocalPeer, NetworkManager } = require('../script.js');
+
+let channels = 0;
+
+/**
+ * @returns {object} Local transport settings on a channel of its own, so tests don't overhear each other
+ */
+function localTransport() {
+    return {
+        ...Transport.fromUrl('http://game.test/index.html?transport=local'),
+        channel: `test-${process.pid}-${channels++}`,
+        onPageHide: () => {}
+    };
+}
+
+/**
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @returns {Promise<any[]>} Arguments of the next emit
+ */
+function once(emitter, event) {
+    return new Promise(resolve => emitter.on(event, (...args) => resolve(args)));
+}
+
+test('transport settings come from the URL and carry over to join links', () => {
+    const transport = Transport.fromUrl('http://game.test/index.html?transport=local&signal=peers.test:9000/p');
+    assert.equal(transport.type, 'local');
+    assert.deepEqual(transport.server, { host: 'peers.test', port: 9000, path: '/p', secure: false });
+
+    const net = new NetworkManager(transport);
+    net.peer = { id: 'host-1' };
+    net.key = 'secret';
+    assert.equal(net.getJoinUrl('watch'), 'http://game.test/index.html?watch=host-1&transport=local&signal=peers.test%3A9000%2Fp');
+});
+
+test('local peers connect and exchange data', async (t) => {
+    const transport = localTransport();
+    const host = Transport.createPeer(transport, 'host');
+    const guest = Transport.createPeer(transport);
+    t.after(() => {
+        host.destroy();
+        guest.destroy();
+    });
+    await Promise.all([once(host, 'open'), once(guest, 'open')]);
+
+    const incoming = once(host, 'connection');
+    const conn = guest.connect('host', { label: 'tilt' });
+    await once(conn, 'open');
+    const [hostConn] = await incoming;
+    assert.equal(hostConn.peer, guest.id);
+    assert.equal(hostConn.label, 'tilt');
+
+    const received = once(hostConn, 'data');
+    conn.send({ type: 'ping', t: 1 });
+    assert.deepEqual((await received)[0], { type: 'ping', t: 1 });
+});
+
+test('a taken peer ID is refused like PeerJS does', async (t) => {
+    const transport = localTransport();
+    const first = new LocalPeer('room', transport);
+    t.after(() => first.destroy());
+    await once(first, 'open');
+
+    const second = new LocalPeer('room', transport);
+    const [err] = await once(second, 'error');
+    assert.equal(err.type, 'unavailable-id');
+    assert.ok(second.destroyed);
+});
+
+test('a controller takes a seat over the local transport', async (t) => {
+    const transport = localTransport();
+    const host = new NetworkManager(transport);
+    host.isHost = true;
+    host.key = NetworkManager.createKey();
+    host.peer = Transport.createPeer(transport, 'host');
+    host.peer.on('connection', (c) => c.on('data', (data) => host.handleControllerData(c, data)));
+
+    const phone = Transport.createPeer(transport);
+    t.after(() => {
+        host.peer.destroy();
+        phone.destroy();
+    });
+    await Promise.all([once(host.peer, 'open'), once(phone, 'open')]);
+
+    const conn = phone.connect('host', { reliable: true });
+    await once(conn, 'open');
+    const joined = once(host, 'connected');
+    conn.send({ type: 'hello', version: Protocol.VERSION, capabilities: Protocol.CAPABILITIES, clientId: 'phone-1', key: host.key });
+
+    assert.deepEqual(await joined, ['phone-1']);
+    assert.deepEqual(host.getCapabilities('phone-1'), Protocol.CAPABILITIES);
+});